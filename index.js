@@ -1,103 +1,1757 @@
 let path = require('path');
+let fs = require('fs');
+let vm = require('vm');
 let estree = require('estree-walker');
 let MagicString = require('magic-string');
-let astring = require('astring');
-let vm = require('vm');
+let minimatch = require('minimatch');
+
+// Returned by the evaluator when an expression can't be statically determined,
+// for example when it depends on module.hot, process.env or any other runtime value.
+let UNKNOWN = {};
+
+// Values of expressions which are only known in the context of the module, such as "typeof exports".
+// They're set while walking the module, before the conditions using them are evaluated.
+// Objects and functions are only known to be truthy, their value can't be compared.
+let knownValues = new WeakMap();
+let OBJECT = {};
+
+// What "typeof" gives for the CommonJS variables. AMD's "define" is never available,
+// so UMD modules always pick their CommonJS code. "require" is left out, as modules check
+// it before using it dynamically, and it doesn't exist when the bundle runs in a browser.
+let COMMONJS_TYPES = { exports: 'object', module: 'object', define: 'undefined' };
+
+// What "typeof" gives for the globals of the environment the bundle runs in, chosen with the target option.
+// Globals that exist in more than one environment with different meanings, such as "navigator", are left out.
+let TARGETS = {
+    browser: {
+        window: 'object', document: 'object', self: 'object', importScripts: 'undefined', WorkerGlobalScope: 'undefined',
+        global: 'undefined', process: 'undefined', Buffer: 'undefined'
+    },
+    node: {
+        window: 'undefined', document: 'undefined', self: 'undefined', importScripts: 'undefined', WorkerGlobalScope: 'undefined',
+        global: 'object', process: 'object', Buffer: 'function'
+    },
+    worker: {
+        window: 'undefined', document: 'undefined', self: 'object', importScripts: 'function', WorkerGlobalScope: 'function',
+        global: 'undefined', process: 'undefined', Buffer: 'undefined'
+    }
+};
+
+// The target is the name of an environment, or an object with the type of each global.
+//
+//    { window: 'object', Deno: 'undefined' }
+//
+function parseTarget (target) {
+    if (!target) {
+        return {};
+    }
+
+    if (typeof target === 'object') {
+        return Object.assign({}, target);
+    }
+
+    if (!TARGETS.hasOwnProperty(target)) {
+        throw new Error(`Unknown target "${target}". Expected one of ${Object.keys(TARGETS).join(', ')} or an object.`);
+    }
+
+    return Object.assign({}, TARGETS[target]);
+}
+
+function evaluate (node) {
+    if (knownValues.has(node)) {
+        return knownValues.get(node) === OBJECT? UNKNOWN : knownValues.get(node);
+    }
+
+    switch (node.type) {
+        case 'Literal':
+            return node.regex? UNKNOWN : node.value;
+
+        case 'TemplateLiteral':
+            return node.expressions.length === 0? node.quasis[0].value.cooked : UNKNOWN;
+
+        case 'Identifier':
+            if (node.name === 'undefined') {
+                return undefined;
+            }
+
+            if (node.name === 'NaN') {
+                return NaN;
+            }
+
+            if (node.name === 'Infinity') {
+                return Infinity;
+            }
+
+            return UNKNOWN;
+
+        case 'UnaryExpression': {
+            if (node.operator === 'void') {
+                return undefined;
+            }
+
+            if (node.operator === '!') {
+                let truthy = evaluateTruthiness(node.argument);
+                return truthy === UNKNOWN? UNKNOWN : !truthy;
+            }
 
-let vctx = vm.createContext();
+            let arg = evaluate(node.argument);
+            if (arg === UNKNOWN) {
+                return UNKNOWN;
+            }
+
+            switch (node.operator) {
+                case 'typeof': return typeof arg;
+                case '-': return -arg;
+                case '+': return +arg;
+                case '~': return ~arg;
+            }
+
+            return UNKNOWN;
+        }
+
+        case 'BinaryExpression': {
+            let left = evaluate(node.left);
+            let right = evaluate(node.right);
+
+            if (left === UNKNOWN || right === UNKNOWN) {
+                return UNKNOWN;
+            }
+
+            switch (node.operator) {
+                case '==': return left == right;
+                case '!=': return left != right;
+                case '===': return left === right;
+                case '!==': return left !== right;
+                case '<': return left < right;
+                case '<=': return left <= right;
+                case '>': return left > right;
+                case '>=': return left >= right;
+                case '+': return left + right;
+                case '-': return left - right;
+                case '*': return left * right;
+                case '/': return left / right;
+                case '%': return left % right;
+                case '**': return left ** right;
+                case '|': return left | right;
+                case '&': return left & right;
+                case '^': return left ^ right;
+                case '<<': return left << right;
+                case '>>': return left >> right;
+                case '>>>': return left >>> right;
+            }
+
+            return UNKNOWN;
+        }
+
+        case 'LogicalExpression': {
+            let left = evaluate(node.left);
+
+            if (left === UNKNOWN) {
+                return UNKNOWN;
+            }
 
-function findTopLevelDeclaration (ast, name) {
-    return ast.body.some(node => {
-        if (node.type === 'VariableDeclaration') {
-            if (node.declarations.find(d => d.id.name === name)) {
-                return true;
+            if (node.operator === '&&') {
+                return left? evaluate(node.right) : left;
             }
+
+            if (node.operator === '||') {
+                return left? left : evaluate(node.right);
+            }
+
+            return (left === null || left === undefined)? evaluate(node.right) : left;
+        }
+
+        case 'ConditionalExpression': {
+            let test = evaluateTruthiness(node.test);
+
+            if (test === UNKNOWN) {
+                return UNKNOWN;
+            }
+
+            return evaluate(test? node.consequent : node.alternate);
+        }
+
+        case 'SequenceExpression':
+            return evaluate(node.expressions[node.expressions.length - 1]);
+    }
+
+    return UNKNOWN;
+}
+
+// Conditions only care about whether a value is truthy, which can be known even
+// when the value itself isn't. For example "!module.hot || 'production' === 'production'"
+// is always true even though module.hot can't be determined.
+function evaluateTruthiness (node) {
+    if (knownValues.get(node) === OBJECT) {
+        return true;
+    }
+
+    if (node.type === 'UnaryExpression' && node.operator === '!') {
+        let truthy = evaluateTruthiness(node.argument);
+        return truthy === UNKNOWN? UNKNOWN : !truthy;
+    }
+
+    if (node.type === 'LogicalExpression' && node.operator !== '??') {
+        let left = evaluateTruthiness(node.left);
+        let right = evaluateTruthiness(node.right);
+        let shortCircuit = node.operator === '||';
+
+        if (left === shortCircuit) {
+            return shortCircuit;
+        }
+
+        if (left === !shortCircuit) {
+            return right;
+        }
+
+        return right === shortCircuit? shortCircuit : UNKNOWN;
+    }
+
+    if (node.type === 'ConditionalExpression') {
+        let test = evaluateTruthiness(node.test);
+        let consequent = evaluateTruthiness(node.consequent);
+        let alternate = evaluateTruthiness(node.alternate);
+
+        if (test === UNKNOWN) {
+            return consequent === alternate? consequent : UNKNOWN;
+        }
+
+        return test? consequent : alternate;
+    }
+
+    if (node.type === 'SequenceExpression') {
+        return evaluateTruthiness(node.expressions[node.expressions.length - 1]);
+    }
+
+    let value = evaluate(node);
+    return value === UNKNOWN? UNKNOWN : !!value;
+}
+
+function endsCase (statement) {
+    return statement && (
+        statement.type === 'BreakStatement' ||
+        statement.type === 'ContinueStatement' ||
+        statement.type === 'ReturnStatement' ||
+        statement.type === 'ThrowStatement'
+    );
+}
+
+// Returns the cases of a switch statement that can be executed.
+// If the discriminant or any of the case tests can't be determined,
+// all of the cases are assumed to be reachable.
+function getReachableCases (node) {
+    let discriminant = evaluate(node.discriminant);
+    if (discriminant === UNKNOWN) {
+        return node.cases;
+    }
+
+    let start = -1;
+
+    for (let i = 0; i < node.cases.length; i++) {
+        let test = node.cases[i].test;
+
+        if (test) {
+            let value = evaluate(test);
+
+            if (value === UNKNOWN) {
+                return node.cases;
+            }
+
+            if (start === -1 && value === discriminant) {
+                start = i;
+            }
+        }
+    }
+
+    if (start === -1) {
+        start = node.cases.findIndex(c => c.test === null);
+
+        if (start === -1) {
+            return [];
+        }
+    }
+
+    // Cases fall through until one of them breaks out.
+    let reachable = [];
+    for (let i = start; i < node.cases.length; i++) {
+        let consequent = node.cases[i].consequent;
+        reachable.push(node.cases[i]);
+
+        if (endsCase(consequent[consequent.length - 1])) {
+            break;
+        }
+    }
+
+    return reachable;
+}
+
+// Checks if the child node of the parent can never be executed
+// because the condition that leads to it is statically false.
+function isDeadBranch (parent, child) {
+    if (parent.type === 'IfStatement' || parent.type === 'ConditionalExpression') {
+        if (child === parent.test) {
+            return false;
+        }
+
+        let test = evaluateTruthiness(parent.test);
+        if (test !== UNKNOWN) {
+            return child === (test? parent.alternate : parent.consequent);
+        }
+    }
+
+    if (parent.type === 'LogicalExpression' && child === parent.right) {
+        if (parent.operator === '??') {
+            let left = evaluate(parent.left);
+            return left !== UNKNOWN && left !== null && left !== undefined;
+        }
+
+        let left = evaluateTruthiness(parent.left);
+        return left !== UNKNOWN && left === (parent.operator === '||');
+    }
+
+    if (parent.type === 'SwitchStatement' && child.type === 'SwitchCase') {
+        return getReachableCases(parent).indexOf(child) === -1;
+    }
+
+    return false;
+}
+
+function isInDeadBranch (ancestors, node) {
+    return ancestors.some((parent, index) => {
+        return isDeadBranch(parent, ancestors[index + 1] || node);
+    });
+}
+
+// Checks if the importee is a package, rather than a relative or absolute path to a file.
+function isPackageName (importee) {
+    return !/^\.{0,2}\//.test(importee) && !path.isAbsolute(importee);
+}
+
+// Checks if the node runs inside of the block of a try statement, so errors it throws are caught.
+// Functions declared inside of the block can be called after the try statement is finished.
+//
+//    try { fsevents = require('fsevents') } catch (e) {}
+//
+function isInTryBlock (ancestors, node) {
+    for (let index = ancestors.length - 1; index >= 0; index--) {
+        let parent = ancestors[index];
+
+        if (/^(FunctionDeclaration|FunctionExpression|ArrowFunctionExpression)$/.test(parent.type)) {
+            return false;
+        }
+
+        if (parent.type === 'TryStatement' && parent.block === (ancestors[index + 1] || node)) {
+            return true;
         }
+    }
+
+    return false;
+}
+
+function extractNames (pattern, names = []) {
+    if (pattern.type === 'Identifier') {
+        names.push(pattern.name);
+    }
+
+    if (pattern.type === 'ObjectPattern') {
+        pattern.properties.forEach(prop => {
+            extractNames(prop.type === 'RestElement'? prop : prop.value, names);
+        });
+    }
+
+    if (pattern.type === 'ArrayPattern') {
+        pattern.elements.forEach(element => element && extractNames(element, names));
+    }
+
+    if (pattern.type === 'RestElement') {
+        extractNames(pattern.argument, names);
+    }
 
-        if (node.type === 'FunctionDeclaration') {
-            if (node.id.name === name) {
-                return true;
+    if (pattern.type === 'AssignmentPattern') {
+        extractNames(pattern.left, names);
+    }
+
+    return names;
+}
+
+// Finds the names declared with "var" inside of a node.
+// These are hoisted to the enclosing function, so they need to be
+// declared even if the code that contains them is removed.
+function findVarNames (node) {
+    let names = [];
+
+    estree.walk(node, {
+        enter (child) {
+            if (/^(FunctionDeclaration|FunctionExpression|ArrowFunctionExpression)$/.test(child.type)) {
+                return this.skip();
+            }
+
+            if (child.type === 'VariableDeclaration' && child.kind === 'var') {
+                child.declarations.forEach(d => extractNames(d.id, names));
             }
         }
+    });
+
+    return names;
+}
+
+function getLexicalNames (statements) {
+    let names = [];
+
+    statements.forEach(statement => {
+        if (statement.type === 'ExportNamedDeclaration' || statement.type === 'ExportDefaultDeclaration') {
+            statement = statement.declaration || statement;
+        }
+
+        if (statement.type === 'VariableDeclaration' && statement.kind !== 'var') {
+            statement.declarations.forEach(d => extractNames(d.id, names));
+        }
 
-        if (node.type === 'ClassDeclaration') {
-            if (node.id.name === name) {
-                return true;
+        if ((statement.type === 'FunctionDeclaration' || statement.type === 'ClassDeclaration') && statement.id) {
+            names.push(statement.id.name);
+        }
+
+        if (statement.type === 'ImportDeclaration') {
+            statement.specifiers.forEach(specifier => names.push(specifier.local.name));
+        }
+    });
+
+    return names;
+}
+
+// Scopes track the names declared by nodes, so we can tell if "require", "module" 
+// and "exports" refer to the CommonJS variables or to something the module declared itself,
+// such as the parameters of a "function (require, module, exports)" wrapper.
+function createScope (node, parent) {
+    let names;
+
+    switch (node.type) {
+        case 'Program':
+            names = findVarNames(node).concat(getLexicalNames(node.body));
+            break;
+
+        case 'FunctionDeclaration':
+        case 'FunctionExpression':
+        case 'ArrowFunctionExpression':
+            names = [];
+            node.params.forEach(param => extractNames(param, names));
+
+            if (node.type === 'FunctionExpression' && node.id) {
+                names.push(node.id.name);
+            }
+
+            if (node.body.type === 'BlockStatement') {
+                names = names.concat(findVarNames(node.body));
             }
+            break;
+
+        case 'ClassExpression':
+            names = node.id? [node.id.name] : [];
+            break;
+
+        case 'BlockStatement':
+            names = getLexicalNames(node.body);
+            break;
+
+        case 'SwitchStatement':
+            names = getLexicalNames([].concat(...node.cases.map(c => c.consequent)));
+            break;
+
+        case 'ForStatement':
+        case 'ForInStatement':
+        case 'ForOfStatement':
+            names = getLexicalNames([node.init || node.left].filter(Boolean));
+            break;
+
+        case 'CatchClause':
+            names = node.param? extractNames(node.param) : [];
+            break;
+
+        default:
+            return;
+    }
+
+    return { node, parent, names };
+}
+
+function isDeclared (scope, name) {
+    return !!findDeclaringScope(scope, name);
+}
+
+function findDeclaringScope (scope, name) {
+    while (scope) {
+        if (scope.names.indexOf(name) > -1) {
+            return scope;
         }
+
+        scope = scope.parent;
+    }
+}
+
+// Checks if the identifier is used as a variable, rather than
+// as a property name, label or other non-variable syntax.
+function isReference (node, parent) {
+    if (!parent) {
+        return true;
+    }
+
+    if (parent.type === 'MemberExpression') {
+        return parent.computed || node === parent.object;
+    }
+
+    // The key and value of shorthand properties are the same node.
+    if (parent.type === 'Property' || parent.type === 'MethodDefinition' || parent.type === 'PropertyDefinition') {
+        return node !== parent.key || parent.computed || !!parent.shorthand;
+    }
+
+    return !/^(LabeledStatement|BreakStatement|ContinueStatement|ImportSpecifier|ImportDefaultSpecifier|ImportNamespaceSpecifier|ExportSpecifier|MetaProperty)$/.test(parent.type);
+}
+
+// "this" is the exports object at the top level of a CommonJS module.
+// Arrow functions don't have their own "this", so they keep it.
+function isTopLevelThis (ancestors) {
+    return !ancestors.some(node => /^(FunctionDeclaration|FunctionExpression|ClassBody)$/.test(node.type));
+}
+
+// Shorthand properties such as "{ module }" have to keep their key
+// when the identifier is renamed, so they are expanded to "{ module: __module }".
+function isShorthandValue (node, parent, grandparent) {
+    if (parent.type === 'Property') {
+        return parent.shorthand && parent.value === node;
+    }
+
+    return parent.type === 'AssignmentPattern' && parent.left === node && 
+        grandparent && grandparent.type === 'Property' && grandparent.shorthand && grandparent.value === parent;
+}
+
+function hasUseStrict (statements) {
+    for (let statement of statements) {
+        if (!statement.directive) {
+            return false;
+        }
+
+        if (statement.directive === 'use strict') {
+            return true;
+        }
+    }
+
+    return false;
+}
+
+// Code is strict if the module or a function around it starts with "use strict", or if it's in a class.
+function isStrictCode (ancestors) {
+    return ancestors.some(node => {
+        return node.type === 'ClassBody' ||
+            (node.type === 'Program' && hasUseStrict(node.body)) ||
+            (/Function/.test(node.type) && node.body.type === 'BlockStatement' && hasUseStrict(node.body.body));
     });
 }
 
-function findNodeInAst (ast, target) {
-    let found;
+// Finds code that works differently when the module is in strict mode,
+// which is the case for all of the output because it's an ES module.
+function findSloppyConstruct (node, scope) {
+    if (node.type === 'MemberExpression' && node.object.type === 'Identifier' && node.object.name === 'arguments') {
+        let name = getPropertyName(node);
+
+        if ((name === 'callee' || name === 'caller') && !isDeclared(scope, 'arguments')) {
+            return `arguments.${name} isn't allowed in strict mode`;
+        }
+    }
+
+    let target = node.type === 'AssignmentExpression'? node.left : node.type === 'UpdateExpression'? node.argument : undefined;
+
+    if (target && target.type === 'Identifier' && !isDeclared(scope, target.name) && !/^(exports|module|require|global|__dirname|__filename)$/.test(target.name)) {
+        return `Assigning to the undeclared variable "${target.name}" isn't allowed in strict mode`;
+    }
+}
+
+function getLocation (code, pos) {
+    let lines = code.substring(0, pos).split('\n');
+    return `${lines.length}:${lines[lines.length - 1].length}`;
+}
+
+// Replaces a branch that can never execute with the smallest code that is 
+// equivalent to it. Conditions are kept as they are, only their branches are removed.
+function removeDeadBranch (s, parent, child) {
+    let varNames = findVarNames(child);
+    let declarations = varNames.length > 0? `var ${varNames.join(', ')};` : '';
+
+    if (parent.type === 'IfStatement') {
+        if (child === parent.alternate && !declarations) {
+            s.remove(parent.consequent.end, parent.alternate.end);
+        } else {
+            s.overwrite(child.start, child.end, declarations || '{}');
+        }
+    }
+
+    if (parent.type === 'ConditionalExpression' || parent.type === 'LogicalExpression') {
+        s.overwrite(child.start, child.end, 'void 0');
+    }
+
+    if (parent.type === 'SwitchStatement') {
+        if (declarations) {
+            let consequent = child.consequent;
+            s.overwrite(consequent[0].start, consequent[consequent.length - 1].end, declarations);
+        } else {
+            s.remove(child.start, child.end);
+        }
+    }
+}
+
+function normalizePath (id) {
+    return id.replace(/\\/g, '/');
+}
+
+// The key of a CommonJS module in the runtime helpers, see createModule.
+function getModuleKey (id) {
+    return path.isAbsolute(id)? normalizePath(path.relative(process.cwd(), id)) : id;
+}
+
+function createMatcher (pattern) {
+    if (typeof pattern === 'function') {
+        return pattern;
+    }
+
+    if (pattern instanceof RegExp) {
+        return id => {
+            pattern.lastIndex = 0;
+            return pattern.test(id);
+        };
+    }
+
+    // Globs are relative to the working directory, unless they're absolute,
+    // match any directory or are for virtual modules.
+    let glob = normalizePath(pattern);
+    if (!path.isAbsolute(glob) && !glob.startsWith('**') && !glob.startsWith('\0')) {
+        glob = normalizePath(path.resolve(process.cwd(), glob));
+    }
+
+    return id => minimatch(normalizePath(id), glob, { dot: true });
+}
+
+// Include and exclude can be a glob, a regular expression, a function
+// that receives the module id, or an array containing any of them.
+function createFilter (include, exclude) {
+    let toMatchers = patterns => [].concat(patterns || []).map(createMatcher);
+    let includeMatchers = toMatchers(include);
+    let excludeMatchers = toMatchers(exclude);
+
+    return id => {
+        if (excludeMatchers.some(matcher => matcher(id))) {
+            return false;
+        }
+
+        return includeMatchers.length === 0 || includeMatchers.some(matcher => matcher(id));
+    };
+}
+
+function getPropertyName (node) {
+    if (node.type === 'MemberExpression') {
+        return node.computed? (node.property.type === 'Literal'? String(node.property.value) : undefined) : node.property.name;
+    }
+
+    if (node.type === 'Property') {
+        if (node.key.type === 'Literal') {
+            return String(node.key.value);
+        }
+
+        return node.computed? undefined : node.key.name;
+    }
+}
+
+// Define keys are a variable, a chain of properties on a variable, or the type of either of those.
+// Values that are JSON, which is the case when using JSON.stringify, are known to the conditions.
+//
+//    'process.env.NODE_ENV' --> { path: ['process', 'env', 'NODE_ENV'], isTypeof: false }
+//    'typeof window' --> { path: ['window'], isTypeof: true }
+//
+function parseDefines (define) {
+    return Object.keys(define || {}).map(key => {
+        let match = /^typeof\s+(.+)$/.exec(key.trim());
+        let replacement = String(define[key]);
+        let value = UNKNOWN;
+
+        try {
+            value = replacement === 'undefined'? undefined : JSON.parse(replacement);
+            value = value !== null && typeof value === 'object'? OBJECT : value;
+        } catch (e) {
+            // Not JSON, so it can't be evaluated.
+        }
+
+        return {
+            path: (match? match[1] : key).trim().split('.'),
+            isTypeof: !!match,
+            replacement: /^([\w$.]+|"[^"]*"|'[^']*')$/.test(replacement)? replacement : `(${replacement})`,
+            value
+        };
+    });
+}
+
+// Checks if the node is the variable or chain of properties in the path, such as "process.env.NODE_ENV".
+function matchesPath (node, path) {
+    for (let i = path.length - 1; i > 0; i--) {
+        if (node.type !== 'MemberExpression' || getPropertyName(node) !== path[i]) {
+            return false;
+        }
+
+        node = node.object;
+    }
+
+    return node.type === 'Identifier' && node.name === path[0];
+}
+
+// Checks if the require of an importee is left as it is. Strings match the importee
+// and the files inside of it, like a package name, functions receive the importee and importer.
+//
+//    'electron' --> require('electron'), require('electron/main')
+//
+function createExternalFilter (patterns) {
+    let matchers = [].concat(patterns || []).map(pattern => {
+        if (typeof pattern === 'function') {
+            return pattern;
+        }
+
+        if (pattern instanceof RegExp) {
+            return importee => pattern.test(importee);
+        }
+
+        return importee => importee === pattern || importee.startsWith(pattern + '/');
+    });
+
+    return (importee, importer) => matchers.some(matcher => matcher(importee, importer));
+}
+
+// Checks if the callback of a loop over the keys of a module copies each of them onto exports,
+// which is how Babel re-exports all of the exports of a module.
+//
+//    Object.keys(_foo).forEach(function (key) { Object.defineProperty(exports, key, { get: ... }); });
+//
+function isCopyingKeysToExports (fn) {
+    let key = fn.params[0] && fn.params[0].type === 'Identifier' && fn.params[0].name;
+    let isExports = node => node && node.type === 'Identifier' && node.name === 'exports';
+    let isKey = node => node && node.type === 'Identifier' && node.name === key;
+    let found = false;
+
+    key && estree.walk(fn.body, {
+        enter (node) {
+            if (node.type === 'CallExpression' && matchesPath(node.callee, ['Object', 'defineProperty']) && isExports(node.arguments[0]) && isKey(node.arguments[1])) {
+                found = true;
+            }
+
+            if (node.type === 'AssignmentExpression' && node.left.type === 'MemberExpression' && node.left.computed && isExports(node.left.object) && isKey(node.left.property)) {
+                found = true;
+            }
+        }
+    });
+
+    return found;
+}
+
+// Finds the names of the properties in an object literal assigned to module.exports.
+//
+//    module.exports = { a, b: 123, c () {} }; --> ['a', 'b', 'c']
+//
+function getObjectKeys (node) {
+    if (node.type !== 'ObjectExpression') {
+        return [];
+    }
+
+    return node.properties.filter(p => p.type === 'Property').map(getPropertyName).filter(Boolean);
+}
+
+function isValidExportName (name) {
+    return /^[a-zA-Z_$][\w$]*$/.test(name) && name !== 'default';
+}
+
+// Each name is assigned to a variable and exported using an alias.
+// This avoids conflicts with variables declared by the module, such as 
+// a top level "exports" or a variable with a different value than the export,
+// and allows names like "delete" that can't be used as variable names.
+function getExportNames (names) {
+    return names.filter((name, i, a) => isValidExportName(name) && a.indexOf(name) === i);
+}
+
+function exportNames (names, s, live) {
+    names = getExportNames(names);
+
+    if (names.length > 0) {
+        s.append(`
+            ${names.map(ex => {
+                return `var __export__${ex} = __module.exports.${ex}; export { __export__${ex} as ${ex} };`;
+            }).join(' ')}
+            ${live? createLiveBindings(names) : ''}
+        `);
+    }
+}
+
+// Nollup publishes the exports of a module by calling "__e__", a parameter of the function that it
+// wraps each module in. It isn't part of Nollup's API, and was checked against Nollup 0.10.8. Modules
+// only call it after checking it's a function, which is also how they know they're running in Nollup,
+// so with Rollup, or if Nollup renames it, they still work, but imports aren't updated by Nollup.
+let NOLLUP_PUBLISH = '__e__';
+let IS_NOLLUP = `typeof ${NOLLUP_PUBLISH} === 'function'`;
+
+// The exports are the values of module.exports when the module finishes, unless they're live bindings.
+// Nollup doesn't have live bindings, so the exports are published again when they change.
+//
+//    exports.count = 1; --> var __export__count = __module.exports.count; __liveBinding(__module.exports, 'count', ...);
+//
+function createLiveBindings (names) {
+    return names.map(name => {
+        let get = `function () { return __export__${name}; }`;
+        let set = `function (value) { __export__${name} = value; ${IS_NOLLUP} && ${NOLLUP_PUBLISH}('${name}', value); }`;
+        return `__liveBinding(__module.exports, '${name}', ${get}, ${set});`;
+    }).join(' ');
+}
+
+// Wrapped modules place their body inside of a function that runs the first time
+// the module is required, so side effects happen in the same order as they would in Node.
+// The exports are live bindings which are assigned once the body has finished.
+//
+//    module.exports = 123; --> function __commonJS () { ...module.exports = 123;... }
+//
+function wrapModule (s, names, defaultExport, synthetic, isEntry, isCycle, live) {
+    names = getExportNames(names);
+
+    let declarations = names.map(name => `var __export__${name}; export { __export__${name} as ${name} };`);
+    let assignments = names.map(name => `__export__${name} = __module.exports.${name};`);
+    let publishes = names.map(name => `${NOLLUP_PUBLISH}('${name}', __export__${name});`);
+
+    if (defaultExport) {
+        declarations.unshift('var __export__default; export { __export__default as default };');
+        assignments.unshift(`__export__default = ${defaultExport};`);
+        publishes.unshift(`${NOLLUP_PUBLISH}('default', __export__default);`);
+    }
+
+    if (synthetic) {
+        publishes.push(`for (var prop in __export__default) { prop !== 'default' && ${NOLLUP_PUBLISH}(prop, __export__default[prop]); }`);
+    }
+
+    s.appendLeft(0, `
+        var __commonJSLoaded = false; ${declarations.join(' ')}
+        function __commonJS () {
+            if (!__commonJSLoaded) {
+                __commonJSLoaded = true;
+                (function () {
+    `);
+
+    // Nollup doesn't have live bindings, exports are published when the export
+    // statement runs. Publishing them again updates the modules that import them.
+    // Nollup also runs the modules in a cycle after the module that requires them,
+    // so they can't wait to be required.
+    s.append(`
+                }).call(__exports);
+                ${assignments.join(' ')}
+                if (${IS_NOLLUP}) { ${publishes.join(' ')} }
+                ${live? createLiveBindings(names) : ''}
+            }
+
+            return __module.exports;
+        }
+        ${isEntry? '__commonJS();' : ''}
+        ${isCycle? `if (${IS_NOLLUP}) __commonJS();` : ''}
+    `);
+}
+
+// Functions created with the Function constructor aren't in strict mode, so modules that
+// rely on sloppy mode run their body as one. The variables of the ES module that the body
+// uses are passed in as arguments, because the function can only see global variables.
+//
+//    with (obj) {} --> new Function("exports", ..., "with (obj) {}").call(__exports, __exports, ...);
+//
+function wrapSloppyModule (s, code, variables) {
+    let names = Object.keys(variables);
+    let body = s.slice(0, code.length);
+
+    s.overwrite(0, code.length, `new Function(${names.concat(body).map(str => JSON.stringify(str)).join(', ')}).call(${['__exports'].concat(names.map(name => variables[name])).join(', ')});`);
+}
+
+// Splits the argument of a dynamic require into its static strings and dynamic parts,
+// with the dynamic parts represented as null.
+//
+//    require(`./locales/${lang}.js`) --> ['./locales/', null, '.js']
+//    require('./plugins/' + name) --> ['./plugins/', null]
+//
+function getDynamicRequireParts (node) {
+    let parts = [];
+
+    if (node.type === 'TemplateLiteral') {
+        node.quasis.forEach((quasi, i) => {
+            parts.push(quasi.value.cooked);
+            i < node.expressions.length && parts.push(null);
+        });
+    } else if (node.type === 'BinaryExpression' && node.operator === '+') {
+        parts = getDynamicRequireParts(node.left).concat(getDynamicRequireParts(node.right));
+    } else if (node.type === 'Literal' && typeof node.value === 'string') {
+        parts = [node.value];
+    } else {
+        parts = [null];
+    }
+
+    // Adjacent strings are joined, so the first part is the full static prefix.
+    return parts.reduce((acc, part) => {
+        if (typeof part === 'string' && typeof acc[acc.length - 1] === 'string') {
+            acc[acc.length - 1] += part;
+        } else if (part !== '') {
+            acc.push(part);
+        }
+
+        return acc;
+    }, []);
+}
+
+// Lists the files in a directory, and in its subdirectories down to the depth given. Symlinked directories
+// aren't followed, as they can link back to their parent, and "node_modules" and dot-directories are skipped.
+function findFiles (dir, depth) {
+    return fs.readdirSync(dir).reduce((files, name) => {
+        let file = path.join(dir, name);
+
+        if (fs.statSync(file).isDirectory()) {
+            let isSkipped = depth === 0 || name === 'node_modules' || name.startsWith('.') || fs.lstatSync(file).isSymbolicLink();
+            return isSkipped? files : files.concat(findFiles(file, depth - 1));
+        }
+
+        return files.concat(file);
+    }, []);
+}
+
+// Finds the files that a dynamic require with a static prefix can load. Each file is listed 
+// with the strings the require can be called with to load it, following the same
+// resolution as Node, so "./plugins/a.js", "./plugins/a" and "./plugins" for an index file.
+function findRequireContext (node, id, extensions) {
+    let parts = getDynamicRequireParts(node);
+    let prefix = parts[0];
+
+    if (typeof prefix !== 'string' || !/^\.\.?\//.test(prefix) || parts.indexOf(null) === -1) {
+        return;
+    }
+
+    let dir = path.resolve(path.dirname(id), prefix.substring(0, prefix.lastIndexOf('/') + 1));
+    if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+        return;
+    }
+
+    // The files are searched as deep as the static parts of the require go, and one level
+    // further for the index files of directories.
+    //
+    //    require('./plugins/' + name) --> ./plugins/a.js, ./plugins/b/index.js
+    //    require(`./locales/${lang}/messages.js`) --> ./locales/en/messages.js, ./locales/en/messages/index.js
+    //
+    let depth = parts.filter(part => part !== null).join('').substring(prefix.lastIndexOf('/') + 1).split('/').length;
+
+    let pattern = new RegExp('^' + parts.map(part => {
+        return part === null? '.*' : part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }).join('') + '$');
+
+    let files = findFiles(dir, depth).filter(file => extensions.indexOf(path.extname(file)) > -1).map(file => {
+        let importee = normalizePath(path.relative(path.dirname(id), file));
+        importee = /^\.\.?\//.test(importee)? importee : './' + importee;
+
+        let ext = path.extname(importee);
+        let keys = [importee, importee.substring(0, importee.length - ext.length)];
+
+        if (path.basename(importee, ext) === 'index') {
+            keys.push(path.posix.dirname(importee));
+        }
+
+        return { importee, keys: keys.filter(key => pattern.test(key)) };
+    });
+
+    return { dir, files: files.filter(file => file.keys.length > 0) };
+}
+
+// What a require of a module that isn't CommonJS returns.
+//
+//    auto: the namespace if it has __esModule, otherwise the default export if it has one, otherwise the namespace
+//    namespace: the namespace
+//    default: the default export
+//    node: the "module.exports" export if it has one, otherwise the namespace, like Node's require of ES modules
+//    esModuleInterop: the namespace with __esModule, like TypeScript and Babel's CommonJS output
+//
+let INTEROP_MODES = ['auto', 'namespace', 'default', 'node', 'esModuleInterop'];
+
+// The runtime helpers which the transformed modules import from this module.
+let HELPERS_ID = '\0commonjs-alternate-helpers';
+
+// The helpers are part of every bundle, so they're explained here rather than with comments in the bundle.
+//
+// modules, earlyModules, wrappedModules: The module objects of the CommonJS modules, by their path relative
+// to the working directory, see getModuleKey. Modules in a cycle can be required before they run, so their
+// module object is created early. Wrapped modules are kept as the function that runs their body, see wrapModule.
+//
+// createModule: Creates the module object of a CommonJS module, or fills the one that was created early because
+// the module is in a cycle. The bundler's module object is copied, so "module.hot" keeps working.
+//
+// liveBinding: Turns the property of module.exports that a named export was made from into an accessor for the
+// export, so assigning the property later updates the export. Properties that can't be redefined,
+// or that are already accessors, such as the re-exports of transpiled ES modules, are left as they are.
+//
+// createHot: Nollup calls the accept callback of a module when any of its dependencies change, but the
+// module keeps the imports of the old dependencies. The dependencies that changed are required
+// again, which updates the imports, so "require" in the callbacks returns the new exports.
+// Accepted dependencies are functions returning their import, to find the ones that changed.
+// Callbacks without dependencies are called for any change, like in Nollup, and modules that accept
+// themselves without a callback run again, like in Webpack. Only modules that use "module.hot" import this.
+// It relies on Nollup's "module.dependencies" and on its "require" taking the ids in it,
+// so with runtimes that don't have those, "module.hot" is left as the runtime made it.
+//
+//    module.hot.accept('./dep.js', cb) --> __module.hot.accept([function () { return __require__import__0; }], cb)
+//
+// interopImport: Because we're exporting a default object, anything that calls require
+// needs to get that default export. We're using default export because
+// it allows us to output arbitrary variables.
+//
+// However, another situation can come up. What if you require an ES module?
+// If you do, it won't necessarily have a default export. Therefore as a fallback,
+// we return the full module instead of just its default. The other interop modes
+// are for ES modules which are required in a different way, see INTEROP_MODES.
+//
+// CommonJS modules give their module.exports, even while they're still running.
+// Modules in a cycle with the module requiring them may not have run yet,
+// in which case they get the module object that's created early.
+// Wrapped modules run their body the first time they're required.
+//
+// missingModule: Throws the same error as Node for requires of optional dependencies that aren't installed.
+//
+// global, process: Minimal versions of the Node globals, see nodeGlobals. They're shared by every module,
+// like in Node, so properties assigned to them, such as "process.env.DEBUG", are seen everywhere.
+
+let HELPERS = `
+var modules = {};
+var earlyModules = {};
+var wrappedModules = {};
+
+export function createModule (module, key, run) {
+    var created = { exports: {} };
+
+    if (key !== undefined && run) {
+        wrappedModules[key] = run;
+    } else if (key !== undefined) {
+        created = earlyModules[key] || created;
+        delete earlyModules[key];
+        modules[key] = created;
+    }
+
+    if (module) {
+        for (var prop in module) {
+            prop !== 'exports' && (created[prop] = module[prop]);
+        }
+    }
+
+    return created;
+}
+
+export function liveBinding (exports, name, get, set) {
+    if (Object(exports) !== exports || !Object.isExtensible(exports)) {
+        return;
+    }
+
+    var descriptor = Object.getOwnPropertyDescriptor(exports, name);
+
+    if (descriptor && (!descriptor.configurable || !('value' in descriptor))) {
+        return;
+    }
+
+    Object.defineProperty(exports, name, { enumerable: descriptor? descriptor.enumerable : true, configurable: true, get: get, set: set });
+}
+
+export function createHot (created, module, require) {
+    if (!module || !module.hot || typeof module.hot.accept !== 'function' || typeof require !== 'function' || !Array.isArray(module.dependencies)) {
+        return;
+    }
+
+    var hot = created.hot = {};
+    var handlers = [];
+
+    for (var prop in module.hot) {
+        hot[prop] = typeof module.hot[prop] === 'function'? module.hot[prop].bind(module.hot) : module.hot[prop];
+    }
+
+    hot.accept = function (dependencies, callback) {
+        if (dependencies === undefined) {
+            handlers.push({ self: true });
+        } else if (typeof dependencies === 'function') {
+            handlers.push({ callback: dependencies });
+        } else {
+            dependencies = [].concat(dependencies).filter(function (getImport) { return typeof getImport === 'function'; });
+            handlers.push({ dependencies: dependencies, callback: callback, imports: dependencies.map(function (getImport) { return getImport(); }) });
+        }
+
+        module.hot.accept(function () {
+            module.dependencies.forEach(function (id) {
+                require(id);
+            });
+
+            handlers.forEach(function (handler) {
+                if (handler.self) {
+                    return require(module.id);
+                }
+
+                if (!handler.dependencies) {
+                    return handler.callback();
+                }
+
+                var changed = handler.dependencies.filter(function (getImport, i) {
+                    return getImport() !== handler.imports[i];
+                });
+
+                handler.imports = handler.dependencies.map(function (getImport) { return getImport(); });
+                changed.length > 0 && handler.callback && handler.callback();
+            });
+        });
+    };
+}
+
+export function interopImport (ex, mode, key, isInCycle) {
+    if (key !== undefined && wrappedModules.hasOwnProperty(key)) {
+        return wrappedModules[key]();
+    }
+
+    if (key !== undefined && modules.hasOwnProperty(key)) {
+        return modules[key].exports;
+    }
+
+    if (isInCycle) {
+        return (earlyModules[key] = earlyModules[key] || { exports: {} }).exports;
+    }
+
+    if (mode === 'namespace') {
+        return ex;
+    }
+
+    if (mode === 'default') {
+        return ex.default;
+    }
+
+    if (mode === 'node') {
+        return 'module.exports' in ex? ex['module.exports'] : ex;
+    }
+
+    if (mode === 'esModuleInterop') {
+        if (ex.__esModule) {
+            return ex;
+        }
+
+        var interop = Object.defineProperty({}, '__esModule', { value: true });
+        Object.keys(ex).forEach(function (key) {
+            Object.defineProperty(interop, key, { enumerable: true, get: function () { return ex[key]; } });
+        });
+        return interop;
+    }
+
+    if (ex.__esModule) {
+        return ex;
+    }
+
+    if ('default' in ex) {
+        return ex.default;
+    } 
+
+    return ex;
+}
+
+export function missingModule (importee) {
+    var e = new Error("Cannot find module '" + importee + "'");
+    e.code = 'MODULE_NOT_FOUND';
+    throw e;
+}
+
+export var global = typeof globalThis !== "undefined"? globalThis : typeof self !== "undefined"? self : typeof window !== "undefined"? window : {};
+
+export var process = {
+    env: {}, browser: true, argv: [], version: "", versions: {}, platform: "browser",
+    cwd: function () { return "/"; },
+    nextTick: function (fn) { var args = [].slice.call(arguments, 1); Promise.resolve().then(function () { fn.apply(null, args); }); }
+};
+`;
+
+// Minimal versions of the Node globals, for modules that are bundled for the browser.
+// Objects are imported from the helpers, so every module shares them, values that
+// depend on the module are the code returned by the functions. Buffer is too large
+// to shim, so it's imported from the "buffer" package instead.
+let NODE_GLOBALS = {
+    global: { helper: 'global' },
+    process: { helper: 'process' },
+    Buffer: ['buffer', 'Buffer'],
+    __dirname: relativeId => JSON.stringify(path.posix.dirname(relativeId)),
+    __filename: relativeId => JSON.stringify(relativeId)
+};
+
+// Each global is either shimmed with the code above, or imported from a module.
+//
+//    { process: true, Buffer: ['buffer', 'Buffer'], setImmediate: 'set-immediate-shim' }
+//
+function parseNodeGlobals (option) {
+    let config = option === true? NODE_GLOBALS : (option || {});
+    let globals = {};
+
+    Object.keys(config).forEach(name => {
+        let value = config[name] === true? NODE_GLOBALS[name] : config[name];
+
+        if (typeof value === 'function' || Array.isArray(value) || (value && value.helper)) {
+            globals[name] = value;
+        } else if (typeof value === 'string') {
+            globals[name] = [value];
+        }
+    });
+
+    return globals;
+}
+
+// Modules executed in the sandbox can't take longer than this,
+// which prevents the build from hanging on modules that never finish.
+let SANDBOX_TIMEOUT = 1000;
+
+// Runs inside of the sandbox's context, so the module objects, "require", "process" and the values
+// from define are all created by the context, and their constructors don't lead back to the build.
+// The functions resolving and reading the files come from the build, so they only take and return
+// strings, and are kept out of reach of the modules. The keys of the exports are returned as JSON,
+// as well as the message of the error if the module throws.
+//
+// This keeps the modules away from the build's objects, but it's not a security boundary,
+// the modules executed should still be trusted.
+let SANDBOX_RUNTIME = `
+(function (global, host) {
+    var resolve = host.resolve;
+    var read = host.read;
+    var cache = {};
+    var env = JSON.parse(host.env);
+    var globals = JSON.parse(host.globals);
+    delete global.__sandbox__;
+
+    Object.keys(globals).forEach(function (key) {
+        global[key] = globals[key];
+    });
+
+    var process = { env: env, browser: true, argv: [], versions: {}, platform: 'browser', cwd: function () { return '/'; }, nextTick: function () {} };
+
+    function run (code, filename) {
+        var module = cache[filename] = { exports: {} };
+        var dirname = filename.replace(/[\\\\/][^\\\\/]*$/, '');
+        var body = new Function('module', 'exports', 'require', 'process', '__filename', '__dirname', code);
+        body.call(module.exports, module, module.exports, createRequire(filename), process, filename, dirname);
+        return module;
+    }
+
+    // Anything that can't be loaded, such as Node built-in modules, is replaced with an empty object.
+    function createRequire (filename) {
+        return function (importee) {
+            var resolved = resolve(String(importee), filename);
+
+            if (!resolved) {
+                return {};
+            }
+
+            if (!cache[resolved]) {
+                var code = read(resolved);
+                if (code === null) {
+                    throw new Error('Cannot read ' + resolved);
+                }
+
+                if (/\\.json$/.test(resolved)) {
+                    cache[resolved] = { exports: JSON.parse(code) };
+                } else {
+                    run(code, resolved);
+                }
+            }
+
+            return cache[resolved].exports;
+        };
+    }
+
+    try {
+        var exports = run(read(host.filename), host.filename).exports;
+        return JSON.stringify({ keys: exports && (typeof exports === 'object' || typeof exports === 'function')? Object.keys(exports) : [] });
+    } catch (e) {
+        return JSON.stringify({ error: String(e && e.message) });
+    }
+})(this, __sandbox__);
+`;
+
+// Dependencies are loaded from disk and executed in the same sandbox. These don't throw, so the
+// sandbox never gets an object from the build, only strings, or null if the file can't be read.
+function resolveSandboxImportee (importee, filename) {
+    try {
+        let resolved = require.resolve(importee, { paths: [path.dirname(filename)] });
+        return path.isAbsolute(resolved)? resolved : '';
+    } catch (e) {
+        return '';
+    }
+}
+
+function readSandboxFile (filename) {
+    try {
+        return fs.readFileSync(filename, 'utf8');
+    } catch (e) {
+        return null;
+    }
+}
+
+// Some modules build their exports at runtime, so there's no way to statically find them. Instead, the
+// module is executed in a separate context and the keys of its exports are used. Defines for process.env
+// populate process.env, and the other defines are made available as globals.
+function findSandboxExports (code, id, define) {
+    let env = {};
+    let globals = {};
+
+    Object.keys(define || {}).forEach(key => {
+        try {
+            if (key.startsWith('process.env.')) {
+                env[key.substring('process.env.'.length)] = JSON.parse(define[key]);
+            } else if (/^[a-zA-Z_$][\w$]*$/.test(key)) {
+                globals[key] = JSON.parse(define[key]);
+            }
+        } catch (e) {
+            // Not a JSON value, so it can't be used outside of the code.
+        }
+    });
+
+    let context = vm.createContext({
+        __sandbox__: {
+            filename: id,
+            env: JSON.stringify(env),
+            globals: JSON.stringify(globals),
+            resolve: (importee, filename) => resolveSandboxImportee(String(importee), String(filename)),
+            read: filename => filename === id? code : readSandboxFile(String(filename))
+        }
+    });
+
+    let result = JSON.parse(vm.runInContext(SANDBOX_RUNTIME, context, { filename: id, timeout: SANDBOX_TIMEOUT }));
+
+    if (result.error !== undefined) {
+        throw new Error(result.error);
+    }
+
+    return result.keys;
+}
+
+// namedExports keys can be package names such as "react", paths relative to the working
+// directory such as "node_modules/react/index.js", or anything else the resolve plugins understand.
+// They're resolved to every id they could refer to, including symlinks, so they can be matched against module ids.
+async function resolveNamedExportsKey (context, key) {
+    let ids = [];
+
+    try {
+        let resolved = await context.resolve(key, undefined, { skipSelf: true });
+
+        if (resolved && !resolved.external) {
+            ids.push(resolved.id);
+        }
+    } catch (e) {
+        // Can't be resolved by plugins, but may still be resolved below.
+    }
+
+    try {
+        ids.push(require.resolve(key, { paths: [process.cwd()] }));
+    } catch (e) {
+        // Not a package.
+    }
+
+    ids.push(path.resolve(process.cwd(), key));
+
+    return ids.concat(ids.filter(id => fs.existsSync(id)).map(id => fs.realpathSync(id)));
+}
+
+// Follows the requires of the modules transformed so far to find
+// a path that leads from the module back to itself.
+function findRequireCycle (requireGraph, id) {
+    let visited = new Set();
+    let trail = [id];
+
+    let search = from => {
+        for (let dep of requireGraph[from] || []) {
+            if (dep === id) {
+                return trail.concat(dep);
+            }
+
+            if (!visited.has(dep)) {
+                visited.add(dep);
+                trail.push(dep);
+
+                let cycle = search(dep);
+                if (cycle) {
+                    return cycle;
+                }
+
+                trail.pop();
+            }
+        }
+    };
+
+    return search(id);
+}
+
+module.exports = function (options = {}) {
+    let extensions = (options && options.extensions) || ['.js'];
+    let removeDeadBranches = options && options.removeDeadBranches;
+    let filter = createFilter(options && options.include, options && options.exclude);
+    let dynamicRequireContexts = options && options.dynamicRequireContexts;
+    let sandboxNamedExports = options && options.sandboxNamedExports;
+    let sandboxFilter = sandboxNamedExports && createFilter(sandboxNamedExports === true? /[\\/]node_modules[\\/]/ : sandboxNamedExports);
+    let wrapModules = options && options.wrapModules;
+    let sloppyModules = options && options.sloppyModules;
+    let entryIds = [];
+    let requireGraph = {};
+    let commonJSIds = {};
+
+    let isTransformed = id => extensions.indexOf(path.extname(id)) > -1 && filter(id);
+    let defines = parseDefines(options && options.define);
+    let nodeGlobals = parseNodeGlobals(options && options.nodeGlobals);
+    let interop = (options && options.interop) || 'auto';
+    let liveBindings = options && options.liveBindings;
+    let isExternalRequire = createExternalFilter(options && options.externalRequires);
+    let createRequire = options && options.createRequire;
+
+    // Globals provided by nodeGlobals exist in every environment.
+    let targetTypes = parseTarget(options && options.target);
+    Object.keys(nodeGlobals).forEach(name => delete targetTypes[name]);
+
+    if (typeof interop !== 'function' && INTEROP_MODES.indexOf(interop) === -1) {
+        throw new Error(`Unknown interop "${interop}". Expected one of ${INTEROP_MODES.join(', ')} or a function.`);
+    }
+
+    let namedExports = (options && options.namedExports) || {};
+    let namedExportsIds = {};
+    let matchedNamedExports = [];
+
+    return {
+        buildStart: async function (inputOptions) {
+            namedExportsIds = {};
+            entryIds = [];
+
+            // Nothing requires the entry modules, so wrapped entry modules run straight away.
+            if (wrapModules) {
+                let input = (inputOptions && inputOptions.input) || [];
+                let inputs = typeof input === 'string'? [input] : Array.isArray(input)? input : Object.keys(input).map(key => input[key]);
 
-    estree.walk(ast, {
-        enter (node) {
-            if (node === target) {
-                found = true;
+                for (let importee of inputs) {
+                    let resolved = await this.resolve(importee, undefined, { skipSelf: true });
+                    entryIds.push(resolved && !resolved.external? resolved.id : path.resolve(process.cwd(), importee));
+                }
             }
-        }
-    });
 
-    return found;
-}
+            for (let key of Object.keys(namedExports)) {
+                let ids = await resolveNamedExportsKey(this, key);
 
-function exportNames (ast, names, s) {
-    let topLevelNames = names.filter(name => findTopLevelDeclaration(ast, name));
-    let otherNames = names.filter(name => topLevelNames.indexOf(name) === -1);
+                ids.forEach(id => {
+                    namedExportsIds[id] = namedExportsIds[id] || [];
+                    namedExportsIds[id].indexOf(key) === -1 && namedExportsIds[id].push(key);
+                });
+            }
+        },
 
-    // If a variable is already defined in the top level scope, it will cause
-    // a conflict to redefine it again. 
-    if (topLevelNames.length > 0) {
-        s.append(`
-            export { ${topLevelNames.join(', ')} };
-        `);
-    }
+        resolveId: function (importee) {
+            if (importee === HELPERS_ID) {
+                return HELPERS_ID;
+            }
 
-    // If it's not however on the top level, but it has been exported
-    // then we need to declare a top level export for it assigning 
-    // it to the export.
-    if (otherNames.length > 0) {
-        s.append(`
-            ${otherNames.map(ex => {
-                return `export var ${ex} = __module.exports.${ex};`;
-            }).join(' ')}
-        `);
-    }
-}
+            // Node's built-in module, which the external requires are created with.
+            if (createRequire && importee === 'module') {
+                return { id: 'module', external: true };
+            }
+        },
 
-module.exports = function (options = {}) {
-    let extensions = (options && options.extensions) || ['.js'];
+        load: function (id) {
+            if (id === HELPERS_ID) {
+                return HELPERS;
+            }
+        },
 
-    return {
-        transform: function (code, id) {
-            if (extensions.indexOf(path.extname(id)) === -1) {
+        buildEnd: function () {
+            Object.keys(namedExports).forEach(key => {
+                if (matchedNamedExports.indexOf(key) === -1) {
+                    this.warn(`namedExports key "${key}" did not match any module.`);
+                }
+            });
+        },
+
+        transform: async function (code, id) {
+            if (!isTransformed(id)) {
                 return;
             }
 
             let importIndex = 0;
+            let contextIndex = 0;
+            let requiredImportees = [];
+            let requireCalls = [];
+            let requiredVariables = {};
+            let hasExternalRequires = false;
+            let optionalRequires = [];
+            let hasMissingModules = false;
+            let exportsAliases = [];
+            let reExports = [];
             let isESModule = false;
             let hasExports = false;
             let hasImports = false;
             let isUsingModule = false;
+            let isUsingHot = false;
             let hasESDefaultExport = false; // typeof exports with default export already include, eg. lodash
             let exported = [];
+            let usedGlobals = [];
 
-            if (options.define) {
-                Object.keys(options.define).forEach(key => {
-                    code = code.split(key).join(options.define[key]);
-                });
+            // Keys relative to the working directory are also matched directly against the id,
+            // in case they point to a module that can't be resolved before the build, like a virtual module.
+            let relativeId = normalizePath(id.replace(process.cwd(), '')).substring(1);
+            let namedExportKeys = (namedExportsIds[id] || []).slice();
+            if (namedExports[relativeId] && namedExportKeys.indexOf(relativeId) === -1) {
+                namedExportKeys.push(relativeId);
             }
-            
+            namedExportKeys.forEach(key => matchedNamedExports.indexOf(key) === -1 && matchedNamedExports.push(key));
+
             let s = new MagicString(code);
-            let ast = this.parse(code);
+            let sloppyConstructs = [];
+            let ast;
+
+            // Syntax such as "with" statements and octal literals can't be parsed as an ES module,
+            // but is fine if the module doesn't use strict mode, which is the default for CommonJS.
+            try {
+                ast = this.parse(code);
+            } catch (e) {
+                try {
+                    ast = this.parse(code, { sourceType: 'script' });
+                } catch (scriptError) {
+                    throw e;
+                }
+
+                sloppyConstructs.push({ message: e.message.split('\n')[0], pos: e.pos, isSyntax: true });
+            }
+
+            let hasESSyntax = ast.body.some(node => /^(Import|Export)/.test(node.type));
             
+            let pluginContext = this;
             let ancestors = [];
+            let scope;
+
+            // Only the CommonJS variables are transformed. If a module declares
+            // its own "require", "module" or "exports", they are left untouched.
+            let isFree = (node, name) => {
+                return node && node.type === 'Identifier' && node.name === name && !isDeclared(scope, name);
+            };
+
+            // The interop can be chosen for each importee, and is only passed to the helper when it isn't the default.
+            //
+            //    require('./esm.js') --> __interopImport(__require__import__0, "namespace")
+            //
+            let getInterop = importee => {
+                let mode = (typeof interop === 'function'? interop(importee, id) : interop) || 'auto';
+
+                if (INTEROP_MODES.indexOf(mode) === -1) {
+                    this.error(new Error(`Unknown interop "${mode}" for "${importee}" in ${relativeId}. Expected one of ${INTEROP_MODES.join(', ')}.`));
+                }
+
+                return mode;
+            };
+
+            let interopImport = (importName, importee, resolvedId, isInCycle) => {
+                let mode = getInterop(importee);
+
+                if (resolvedId && isTransformed(resolvedId)) {
+                    return `__interopImport(${importName}, ${JSON.stringify(mode)}, ${JSON.stringify(getModuleKey(resolvedId))}${isInCycle? ', true' : ''})`;
+                }
+
+                return mode === 'auto'? `__interopImport(${importName})` : `__interopImport(${importName}, ${JSON.stringify(mode)})`;
+            };
+
+            // Each importee is imported once, no matter how often it's required. The requires share
+            // the binding, but each of them calls the helper, as the exports can change in between.
+            // The imports are added in the order the importees are first found, which is the order they run in.
+            //
+            //    require('./a.js'); require('./a.js'); --> import * as __require__import__0 from "./a.js";
+            //
+            let importNames = {};
+            let imports = [];
+            let getImportName = importee => {
+                if (!importNames.hasOwnProperty(importee)) {
+                    importNames[importee] = '__require__import__' + (importIndex++);
+                    imports.push(`import * as ${importNames[importee]} from ${JSON.stringify(importee)};`);
+                }
+
+                return importNames[importee];
+            };
+
+            // Definitions replace the variables they name, but not variables
+            // with the same name that are declared by the module, or assignments.
+            let findDefine = (node, parent) => {
+                if (!/^(Identifier|MemberExpression|UnaryExpression)$/.test(node.type) || (node.type === 'Identifier' && !isReference(node, parent))) {
+                    return;
+                }
+
+                if (parent && ((parent.type === 'AssignmentExpression' && parent.left === node) || parent.type === 'UpdateExpression')) {
+                    return;
+                }
+
+                return defines.find(define => {
+                    let target = define.isTypeof? (node.type === 'UnaryExpression' && node.operator === 'typeof' && node.argument) : node;
+                    return target && matchesPath(target, define.path) && !isDeclared(scope, define.path[0]);
+                });
+            };
+
+            // Variables can refer to the exports, in which case their properties are exports as well.
+            // The variables are only the same variable if they're declared in the same scope.
+            //
+            //    var api = module.exports; api.name = ...
+            //    var api = module.exports = exports = {}; api.name = ...
+            //
+            let isExportsAlias = node => {
+                return node.type === 'Identifier' && exportsAliases.some(alias => alias.name === node.name && alias.scope === findDeclaringScope(scope, node.name));
+            };
+
+            let isExportsObject = node => {
+                if (!node) {
+                    return false;
+                }
+
+                if (node.type === 'AssignmentExpression' && node.operator === '=') {
+                    return isExportsObject(node.left) || (node.left.type === 'MemberExpression' && isFree(node.left.object, 'module') && getPropertyName(node.left) === 'exports');
+                }
+
+                return isFree(node, 'exports') || isExportsAlias(node) ||
+                    (node.type === 'MemberExpression' && isFree(node.object, 'module') && getPropertyName(node) === 'exports') ||
+                    (!hasESSyntax && node.type === 'ThisExpression' && isTopLevelThis(ancestors));
+            };
+
+            // Variables that are assigned something else afterwards stop being aliases.
+            //
+            //    var api = module.exports; api.a = 1; api = {}; api.b = 2; --> only "a" is exported
+            //
+            let addExportsAlias = (name, value) => {
+                let declaringScope = findDeclaringScope(scope, name);
+
+                if (!hasESSyntax && isExportsObject(value)) {
+                    exportsAliases.push({ name, scope: declaringScope });
+                } else if (value) {
+                    exportsAliases = exportsAliases.filter(alias => alias.name !== name || alias.scope !== declaringScope);
+                }
+            };
+
+            // The module required by an expression, if it's a require, a helper called with a require,
+            // or a variable initialised with either of those.
+            //
+            //    _interopRequireWildcard(require('./foo')) --> './foo'
+            //
+            let getRequiredImportee = node => {
+                if (node && node.type === 'Identifier') {
+                    return requiredVariables.hasOwnProperty(node.name)? requiredVariables[node.name] : undefined;
+                }
+
+                if (node && node.type === 'CallExpression' && node.arguments.length === 1) {
+                    let arg = node.arguments[0];
+
+                    if (isFree(node.callee, 'require')) {
+                        return arg.type === 'Literal' && typeof arg.value === 'string'? arg.value : undefined;
+                    }
+
+                    if (arg.type === 'CallExpression' && isFree(arg.callee, 'require')) {
+                        return getRequiredImportee(arg);
+                    }
+                }
+            };
+
+            // Transpilers copy all of the exports of a module with a loop or a helper.
+            // These modules are re-exported with "export *", as their exports are only known at runtime.
+            //
+            //    Object.keys(_foo).forEach(function (key) { ... }); --> export * from './foo';
+            //    __exportStar(require('./foo'), exports); --> export * from './foo';
+            //    __export(require('./foo')); --> export * from './foo';
+            //
+            let findStarReExport = node => {
+                let callee = node.callee;
+                let calleeName = callee.type === 'Identifier'? callee.name : callee.type === 'MemberExpression'? getPropertyName(callee) : undefined;
+
+                if (calleeName === 'forEach' && callee.type === 'MemberExpression' && callee.object.type === 'CallExpression' && matchesPath(callee.object.callee, ['Object', 'keys']) &&
+                    node.arguments[0] && /^(Arrow)?FunctionExpression$/.test(node.arguments[0].type) && isCopyingKeysToExports(node.arguments[0])
+                ) {
+                    return getRequiredImportee(callee.object.arguments[0]);
+                }
+
+                if (calleeName === '__exportStar' && isFree(node.arguments[1], 'exports')) {
+                    return getRequiredImportee(node.arguments[0]);
+                }
+
+                if (calleeName === '__export' && callee.type === 'Identifier' && node.arguments.length === 1) {
+                    return getRequiredImportee(node.arguments[0]);
+                }
+            };
+
+            // In wrapped mode, ES modules run the CommonJS modules they import
+            // before their own body, as those won't have run yet.
+            let triggers = [];
+            let dynamicImports = [];
+
             estree.walk(ast, {
-                enter: (node, parent) => {
+                enter (node, parent) {
                     s.addSourcemapLocation(node.start);
                     s.addSourcemapLocation(node.end);
 
+                    // Nothing inside of a removed branch is executed, so there's no 
+                    // point in checking it for imports or exports.
+                    if (removeDeadBranches && parent && isDeadBranch(parent, node)) {
+                        removeDeadBranch(s, parent, node);
+                        return this.skip();
+                    }
+
+                    scope = createScope(node, scope) || scope;
+
+                    if (!hasESSyntax) {
+                        let construct = findSloppyConstruct(node, scope);
+
+                        if (construct && !isStrictCode(ancestors)) {
+                            sloppyConstructs.push({ message: `${construct} (${getLocation(code, node.start)})`, pos: node.start });
+                        }
+                    }
+
+                    // process.env.NODE_ENV --> "production"
+                    let define = findDefine(node, parent);
+                    if (define) {
+                        let shorthand = node.type === 'Identifier' && isShorthandValue(node, parent, ancestors[ancestors.length - 2]);
+                        s.overwrite(node.start, node.end, shorthand? `${node.name}: ${define.replacement}` : define.replacement);
+                        define.value !== UNKNOWN && knownValues.set(node, define.value);
+                        return this.skip();
+                    }
+
+                    // The type is replaced as well, so the code that runs is the code that was
+                    // determined statically, even if the page has an AMD loader.
+                    //
+                    //    typeof define === 'function' --> "undefined" === 'function'
+                    //
+                    if (!hasESSyntax && node.type === 'UnaryExpression' && node.operator === 'typeof' &&
+                        node.argument.type === 'Identifier' && COMMONJS_TYPES.hasOwnProperty(node.argument.name) && isFree(node.argument, node.argument.name)
+                    ) {
+                        let type = COMMONJS_TYPES[node.argument.name];
+                        knownValues.set(node, type);
+                        s.overwrite(node.start, node.end, JSON.stringify(type));
+                        return this.skip();
+                    }
+
+                    // The globals of the target environment are known as well, so
+                    // the code for other environments isn't bundled.
+                    //
+                    //    typeof window !== 'undefined' --> "object" !== 'undefined'
+                    //
+                    if (node.type === 'UnaryExpression' && node.operator === 'typeof' && node.argument.type === 'Identifier' &&
+                        targetTypes.hasOwnProperty(node.argument.name) && isFree(node.argument, node.argument.name)
+                    ) {
+                        let type = targetTypes[node.argument.name];
+                        knownValues.set(node, type);
+                        s.overwrite(node.start, node.end, JSON.stringify(type));
+                        return this.skip();
+                    }
+
+                    if (/^(exports|module|require)$/.test(node.name) && isFree(node, node.name) && isReference(node, parent)) {
+                        knownValues.set(node, OBJECT);
+                    }
+
+                    if (node.type === 'MemberExpression' && isFree(node.object, 'module') && getPropertyName(node) === 'exports') {
+                        knownValues.set(node, OBJECT);
+                    }
+
+                    // this --> __exports
+                    if (!hasESSyntax && node.type === 'ThisExpression' && isTopLevelThis(ancestors)) {
+                        s.overwrite(node.start, node.end, '__exports');
+                        knownValues.set(node, OBJECT);
+                        hasExports = true;
+                    }
+
                     if (node.type === 'CallExpression') {
                         // Each time we find a require call, we add an import statement to the top.
                         // The closest thing in ESM we can map require to is the following:
@@ -107,73 +1761,96 @@ module.exports = function (options = {}) {
                         // We use this syntax because this will make sure that we're not looking for a default property.
                         // The require calls are then replaced with the __temp variable.
                         //
-                        if (node.callee.name === 'require') {
+                        if (isFree(node.callee, 'require')) {
                             if (node.arguments.length === 1 && node.arguments[0].type === 'Literal') {   
 
                                 // Before we automatically add the import statement, we need to see 
                                 // if this module should be included. This is important because of 
                                 // conditional requires that use stuff like process.env to determine
                                 // which module should be loaded.                        
-                                let shouldInclude = true;
-
-                                ancestors.some((parent, index) => {
-                                    // TODO: Temporary workaround for RHL, because if has a condition
-                                    // which can't be easily statically parsed and cannot be executed.
-                                    //
-                                    // --> if (!module.hot || process.env.NODE_ENV === 'production' || !platformSupported)
-                                    // 
-                                    // Not entirely sure how to parse this.
-                                    // 
-                                    if (parent.type === 'IfStatement' && parent.test.type === 'BinaryExpression') {
-                                        if (parent.test.left.type === 'Literal' && parent.test.right.type === 'Literal') {
-
-                                            shouldInclude = false;
-
-                                            // This is a bit of a hack, but it works for the time being.
-                                            // We temporarily swap out the implementation of the if statement
-                                            // and execute the if statement and see which branch was activated.
-                                            let branch;
-                                            let consequent = parent.consequent;
-                                            let alternate = parent.alternate;
-                                            parent.consequent = this.parse('branch = 0');
-                                            parent.alternate = this.parse('branch = 1');
-
-                                            // Running in a VM context prevents branches from checking
-                                            // this node's process.env and other globals.
-                                            branch = vm.runInContext(`
-                                                (function () {
-                                                    var branch;
-                                                    ${astring.generate(parent)}
-                                                    return branch;
-                                                })();
-                                            `, vctx);
-
-                                            parent.consequent = consequent;
-                                            parent.alternate = alternate;
-
-                                            // Once we know which branch executed, we'll see if this require
-                                            // call is inside that branch. If it is, import this module, else do nothing.
-                                            let branchToCheck = branch === 0? consequent : alternate;
-
-                                            let found = findNodeInAst(branchToCheck, node);
-
-                                            if (found) {
-                                                shouldInclude = true;
+                                let shouldInclude = !isInDeadBranch(ancestors, node);
+
+                                let importee = node.arguments[0].value;
+
+                                // External requires are left for the environment to load, with its own
+                                // require, or with one created for the module when using createRequire.
+                                // Nollup has its own require, so the global one is used instead.
+                                //
+                                //    require('fs') --> __require('fs')
+                                //
+                                if (shouldInclude && isExternalRequire(importee, id)) {
+                                    s.overwrite(node.callee.start, node.callee.end, '__require');
+                                    hasExternalRequires = true;
+                                } else if (shouldInclude && isPackageName(importee) && isInTryBlock(ancestors, node)) {
+                                    optionalRequires.push({ node, importee });
+                                } else if (shouldInclude) {
+                                    requiredImportees.push(importee);
+                                    requireCalls.push({ node, importee });
+                                    getImportName(importee);
+                                    hasImports = true;
+                                }
+
+                            }
+
+                            // Requires that are built from a static prefix and dynamic parts are replaced
+                            // with a lookup of all of the files they could load. This is opt-in, 
+                            // because otherwise the require is left as is for HMR.
+                            //
+                            //    require('./locales/' + lang) --> __require__context__0('./locales/' + lang)
+                            //
+                            if (dynamicRequireContexts && node.arguments.length === 1 && node.arguments[0].type !== 'Literal') {
+                                let context = !isInDeadBranch(ancestors, node) && findRequireContext(node.arguments[0], id, extensions);
+
+                                if (context) {
+                                    let contextName = '__require__context__' + (contextIndex++);
+                                    let entries = [];
+
+                                    context.files.forEach(file => {
+                                        requiredImportees.push(file.importee);
+                                        let tempImportName = getImportName(file.importee);
+                                        let fileId = path.resolve(path.dirname(id), file.importee);
+                                        let moduleKey = isTransformed(fileId)? getModuleKey(fileId) : undefined;
+                                        file.keys.forEach(key => entries.push(`${JSON.stringify(key)}: [${tempImportName}, ${JSON.stringify(getInterop(file.importee))}, ${JSON.stringify(moduleKey)}]`));
+                                    });
+
+                                    s.prepend(`
+                                        function ${contextName} (id) {
+                                            var modules = { ${entries.join(', ')} };
+
+                                            if (!Object.prototype.hasOwnProperty.call(modules, id)) {
+                                                var e = new Error("Cannot find module '" + id + "'");
+                                                e.code = 'MODULE_NOT_FOUND';
+                                                throw e;
                                             }
 
-                                            return true;
+                                            return __interopImport(modules[id][0], modules[id][1], modules[id][2]);
                                         }
-                                    }
-                                });
+                                    `);
 
-                                if (shouldInclude) {
-                                    let importee = node.arguments[0].value;
-                                    let tempImportName = '__require__import__' + (importIndex++);
-                                    s.overwrite(node.start, node.end, `__interopImport(${tempImportName})`);
-                                    s.prepend(`import * as ${tempImportName} from '${importee}';`);
+                                    s.overwrite(node.callee.start, node.callee.end, contextName);
                                     hasImports = true;
+                                    pluginContext.addWatchFile(context.dir);
                                 }
+                            }
+                        }
+
+                        let reExport = !hasESSyntax && findStarReExport(node);
+                        if (reExport) {
+                            hasExports = true;
+                            reExports.indexOf(reExport) === -1 && reExports.push(reExport);
+                        }
 
+                        // TypeScript's helper for re-exporting a single export.
+                        //
+                        //    __createBinding(exports, foo_1, 'a', 'b') --> b
+                        //
+                        let bindingCallee = node.callee.type === 'MemberExpression'? getPropertyName(node.callee) : node.callee.name;
+                        if (bindingCallee === '__createBinding' && isFree(node.arguments[0], 'exports')) {
+                            let name = node.arguments[3] || node.arguments[2];
+
+                            if (name && name.type === 'Literal' && typeof name.value === 'string') {
+                                hasExports = true;
+                                exported.push(name.value);
                             }
                         }
 
@@ -182,8 +1859,7 @@ module.exports = function (options = {}) {
                             node.callee.property && 
                             node.callee.property.name === 'defineProperty' &&
                             node.arguments &&
-                            node.arguments[0] &&
-                            node.arguments[0].name === 'exports' &&
+                            (isFree(node.arguments[0], 'exports') || isExportsAlias(node.arguments[0])) &&
                             node.arguments[1] && 
                             node.arguments[1].type === 'Literal'
                         ) {
@@ -196,6 +1872,19 @@ module.exports = function (options = {}) {
                         }
                     }
 
+                    // var _foo = require('./foo');
+                    if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && getRequiredImportee(node.init)) {
+                        requiredVariables[node.id.name] = getRequiredImportee(node.init);
+                    }
+
+                    if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier') {
+                        addExportsAlias(node.id.name, node.init);
+                    }
+
+                    if (node.type === 'AssignmentExpression' && node.operator === '=' && node.left.type === 'Identifier' && node.left.name !== 'exports') {
+                        addExportsAlias(node.left.name, node.right);
+                    }
+
                     if (node.type === 'AssignmentExpression') {
                         // Convert module.export calls to __exports.
                         // __exports is then exported as the default at the end.
@@ -205,32 +1894,35 @@ module.exports = function (options = {}) {
 
                         if (left.type === 'MemberExpression') {
                             // module.exports.[name] = [data]
-                            if (left.object && left.object.object && left.object.object.name === 'module' && left.object.property.name === 'exports') {
+                            if (left.object.type === 'MemberExpression' && isFree(left.object.object, 'module') && getPropertyName(left.object) === 'exports') {
                                 hasExports = true;
 
-                                if (left.property && left.property.name) {
-                                    exported.push(left.property.name);
+                                if (getPropertyName(left)) {
+                                    exported.push(getPropertyName(left));
 
-                                    if (left.property.name === '__esModule') {
+                                    if (getPropertyName(left) === '__esModule') {
                                         isESModule = true;
                                     }
                                 }
                             }
 
                             // module.exports = [data]
-                            if (left.object && left.object.name === 'module') {
-                                if (left.property && (left.property.name === 'exports' || left.property.value === 'exports')) {
+                            if (isFree(left.object, 'module')) {
+                                if (getPropertyName(left) === 'exports') {
                                     hasExports = true;
+
+                                    // module.exports = { a, b, c }
+                                    exported.push(...getObjectKeys(node.right));
                                 }
                             }
 
-                            // exports.[name] = [data]
-                            if (left.object && left.object.name === 'exports' ) {
-                                if (left.property && left.property.name) {
+                            // exports.[name] = [data], this.[name] = [data] or api.[name] = [data]
+                            if (isFree(left.object, 'exports') || isExportsAlias(left.object) || (!hasESSyntax && left.object.type === 'ThisExpression' && isTopLevelThis(ancestors))) {
+                                if (getPropertyName(left)) {
                                     hasExports = true;
-                                    exported.push(left.property.name);
+                                    exported.push(getPropertyName(left));
 
-                                    if (left.property.name === '__esModule') {
+                                    if (getPropertyName(left) === '__esModule') {
                                         isESModule = true;
                                     }
                                 }
@@ -239,59 +1931,280 @@ module.exports = function (options = {}) {
                     }
 
                     // object.define(exports) and a(exports.method)
-                    if (node.type === 'Identifier' && node.name === 'exports') {
-                        if (!parent.object || parent.object === node) {
-                            hasExports = true;
-                        } 
+                    if (isFree(node, 'exports') && isReference(node, parent)) {
+                        hasExports = true;
                     }
 
-                    if (node.type === 'Identifier' && node.name === 'module') {
-                        s.overwrite(node.start, node.end, '__module'); 
+                    if (isFree(node, 'module') && isReference(node, parent)) {
+                        let shorthand = isShorthandValue(node, parent, ancestors[ancestors.length - 2]);
+                        s.overwrite(node.start, node.end, shorthand? 'module: __module' : '__module'); 
                         isUsingModule = true;
+
+                        if (parent.type === 'MemberExpression' && parent.object === node && getPropertyName(parent) === 'hot') {
+                            isUsingHot = true;
+                        }
+                    }
+
+                    // The accepted dependencies are the imports of the modules, see createHot.
+                    //
+                    //    module.hot.accept('./a.js', cb) --> module.hot.accept([function () { return __require__import__0; }], cb)
+                    //
+                    if (node.type === 'CallExpression' && node.callee.type === 'MemberExpression' && getPropertyName(node.callee) === 'accept' &&
+                        node.callee.object.type === 'MemberExpression' && getPropertyName(node.callee.object) === 'hot' && isFree(node.callee.object.object, 'module') &&
+                        node.arguments.length > 0
+                    ) {
+                        let isArray = node.arguments[0].type === 'ArrayExpression';
+                        let dependencies = isArray? node.arguments[0].elements : [node.arguments[0]];
+
+                        dependencies.filter(dep => dep && dep.type === 'Literal' && typeof dep.value === 'string').forEach(dep => {
+                            let getImport = `function () { return ${getImportName(dep.value)}; }`;
+                            s.overwrite(dep.start, dep.end, isArray? getImport : `[${getImport}]`);
+                        });
+                    }
+
+                    // Node globals that the module doesn't declare itself, such as "process.nextTick(fn)".
+                    if (node.type === 'Identifier' && nodeGlobals.hasOwnProperty(node.name) && isFree(node, node.name) &&
+                        isReference(node, parent) && usedGlobals.indexOf(node.name) === -1
+                    ) {
+                        usedGlobals.push(node.name);
                     }
 
                     if (node.type === 'ExportDefaultDeclaration') {
                         hasESDefaultExport = true;
                     }
 
+                    if (wrapModules && /^(Import|ExportNamed|ExportAll)Declaration$/.test(node.type) && node.source) {
+                        triggers.indexOf(node.source.value) === -1 && triggers.push(node.source.value);
+                        getImportName(node.source.value);
+                        hasImports = true;
+                    }
+
+                    // import('./file') --> import('./file').then(...)
+                    if (wrapModules && node.type === 'ImportExpression' && node.source.type === 'Literal' && typeof node.source.value === 'string') {
+                        dynamicImports.push({ node, importee: node.source.value });
+                        hasImports = true;
+                    }
+
                     ancestors.push(node);
                 },
 
                 leave: (node, parent) => {
                     ancestors.pop();
+
+                    if (scope.node === node) {
+                        scope = scope.parent;
+                    }
                 }
 
             });
 
-            if (isUsingModule || hasExports) {
-                s.prepend(`
-                    var __exports = {}; var exports = __exports; var __module = { exports: __exports };
-                    if (typeof module !== "undefined") for (var prop in module) { prop !== "exports" && (__module[prop] = module[prop])};
-                `.trim());
+            // Requires of packages inside of try blocks are often for optional dependencies, with a fallback
+            // when they're not installed. Those that can't be resolved throw when they run instead
+            // of failing the build. They're imported after the other requires, as they're resolved first.
+            // Missing files are still an error, as they're more likely to be a mistake.
+            //
+            //    require('fsevents') --> __missingModule("fsevents")
+            //
+            for (let { node, importee } of optionalRequires) {
+                if (importNames.hasOwnProperty(importee) || await this.resolve(importee, id)) {
+                    requiredImportees.push(importee);
+                    requireCalls.push({ node, importee });
+                    getImportName(importee);
+                    hasImports = true;
+                } else {
+                    this.warn(`Optional dependency "${importee}" required by ${relativeId} could not be resolved, it throws when it's required.`, node.start);
+                    s.overwrite(node.start, node.end, `__missingModule(${JSON.stringify(importee)})`);
+                    hasMissingModules = true;
+                }
+            }
+
+            // Rollup orders the imports so that dependencies run first, but CommonJS modules
+            // in a cycle expect to run in the order they're required, and to get the exports
+            // of the modules that are still running. By the time the last module in a cycle
+            // is transformed, the rest of the cycle has been transformed. Wrapping it means
+            // it only runs when the cycle requires it, and it gets the partially filled exports.
+            let requiredIds = [];
+            let resolvedIds = {};
+            for (let importee of requiredImportees) {
+                let resolved = await this.resolve(importee, id);
+
+                if (resolved && !resolved.external) {
+                    requiredIds.push(resolved.id);
+                    resolvedIds[importee] = resolved.id;
+                }
+            }
+
+            requireGraph[id] = requiredIds;
+            let cycle = findRequireCycle(requireGraph, id);
+
+            // Only the last module is wrapped, so in cycles of more than two modules, the others
+            // still run in Rollup's order, before the modules that require them.
+            if (cycle) {
+                let relativeIds = cycle.map(dep => normalizePath(path.relative(process.cwd(), dep)));
+                let order = cycle.length > 3 && !wrapModules? ' Its modules may not run in the order Node runs them, use wrapModules for that.' : '';
+                this.warn(`Circular dependency between CommonJS modules: ${relativeIds.join(' -> ')}.${order}`);
+            }
+
+            // The imports and shims that can run wrapped modules are resolved as well, to find them by their key.
+            let shimImportees = usedGlobals.map(name => nodeGlobals[name]).filter(shim => Array.isArray(shim)).map(shim => shim[0]);
+            for (let importee of triggers.concat(dynamicImports.map(i => i.importee), shimImportees)) {
+                let resolved = !resolvedIds.hasOwnProperty(importee) && await this.resolve(importee, id);
+
+                if (resolved && !resolved.external) {
+                    resolvedIds[importee] = resolved.id;
+                }
             }
 
-            // Because we're exporting a default object, anything that calls require
-            // needs to get that default export. We're using default export because 
-            // it allows us to output arbitrary variables.
+            // The requires are replaced once they're resolved, as modules transformed by this plugin
+            // are found by their key, and the ones in the cycle can be required before they run.
             //
-            // However, another situation can come up. What if you require an ES module?
-            // If you do, it won't necessarily have a default export. Therefore as a fallback,
-            // we return the full module instead of just its default. 
+            //    require('./a.js') --> __interopImport(__require__import__0, "auto", "a.js")
             //
-            if (hasImports) {
-                s.prepend(`
-                    function __interopImport(ex) {
-                        if (ex.__esModule) {
-                            return ex;
-                        }
+            requireCalls.forEach(({ node, importee }) => {
+                let resolvedId = resolvedIds[importee];
+                let isInCycle = !!cycle && cycle.indexOf(resolvedId) > -1 && !!commonJSIds[resolvedId];
+                s.overwrite(node.start, node.end, interopImport(getImportName(importee), importee, resolvedId, isInCycle));
+            });
+
+            triggers = triggers.map(importee => interopImport(getImportName(importee), importee, resolvedIds[importee]) + ';');
+
+            dynamicImports.forEach(({ node, importee }) => {
+                s.appendLeft(node.end, `.then(function (ns) { ${interopImport('ns', importee, resolvedIds[importee])}; return ns; })`);
+            });
+
+            // The shims are declared at the top of the module, so they're
+            // in scope of the module body, even when it's wrapped.
+            //
+            //    Buffer --> import * as __require__import__0 from "buffer"; var Buffer = __interopImport(__require__import__0).Buffer;
+            //    process --> import { process as __process } from "\0commonjs-alternate-helpers"; var process = __process;
+            //
+            let helperShims = [];
+            let shims = usedGlobals.map(name => {
+                let shim = nodeGlobals[name];
+
+                if (shim.helper) {
+                    helperShims.push(shim.helper);
+                    return `var ${name} = __${shim.helper};`;
+                }
+
+                if (typeof shim === 'function') {
+                    return `var ${name} = ${shim(relativeId)};`;
+                }
+
+                let property = shim.length > 1? `[${JSON.stringify(shim[1])}]` : '';
+                hasImports = true;
+                return `var ${name} = ${interopImport(getImportName(shim[0]), shim[0], resolvedIds[shim[0]])}${property};`;
+            });
+
+
+            // Modules that rely on sloppy mode are reported, unless they're allowed to run in sloppy mode.
+            let isSloppy = sloppyModules && sloppyConstructs.length > 0;
+
+            if (isSloppy) {
+                let variables = { exports: '__exports', __exports: '__exports', __module: '__module' };
+
+                if (hasImports) {
+                    variables.__interopImport = '__interopImport';
+                }
+
+                for (let i = 0; i < importIndex; i++) {
+                    variables['__require__import__' + i] = '__require__import__' + i;
+                }
 
-                        if ('default' in ex) {
-                            return ex.default;
-                        } 
+                for (let i = 0; i < contextIndex; i++) {
+                    variables['__require__context__' + i] = '__require__context__' + i;
+                }
+
+                usedGlobals.forEach(name => variables[name] = name);
+
+                if (hasExternalRequires) {
+                    variables.__require = '__require';
+                }
 
-                        return ex;
+                if (hasMissingModules) {
+                    variables.__missingModule = '__missingModule';
+                }
+
+                wrapSloppyModule(s, code, variables);
+            } else {
+                sloppyConstructs.forEach(construct => {
+                    let message = `${relativeId} relies on sloppy mode: ${construct.message}. Enable the sloppyModules option to run it outside of strict mode.`;
+
+                    if (construct.isSyntax) {
+                        this.error(new Error(message), construct.pos);
                     }
-                `)
+
+                    this.warn(message, construct.pos);
+                });
+            }
+
+            let isWrapped = (wrapModules || cycle) && !hasESSyntax && (hasExports || hasImports || isUsingModule || isSloppy);
+
+            if (triggers.length) {
+                s.prepend(triggers.join('\n'));
+            }
+
+            if (imports.length) {
+                s.prepend(imports.join('\n') + '\n');
+            }
+
+            if (hasExternalRequires && createRequire) {
+                s.prepend('import { createRequire as __createRequire } from "module"; var __require = __createRequire(import.meta.url);\n');
+            } else if (hasExternalRequires) {
+                s.prepend('function __require (id) { return (typeof __nollup__global__ !== "undefined" && typeof __nollup__global__.require === "function"? __nollup__global__.require : require)(id); }\n');
+            }
+
+            if (shims.length) {
+                s.prepend(shims.join('\n') + '\n');
+            }
+
+            if (isUsingModule || hasExports || isWrapped || isSloppy) {
+                // A module can declare its own top level "exports", which would
+                // conflict with the CommonJS one. It isn't used by the module, so it can be left out.
+                let exportsDeclaration = isDeclared(createScope(ast), 'exports')? '' : 'var exports = __exports;';
+
+                // The module object is kept by the helpers, so the modules requiring this module get its
+                // module.exports, even if they're in a cycle with it and it hasn't finished running.
+                // Wrapped modules are kept as the function that runs them instead.
+                let key = hasESSyntax? 'undefined' : JSON.stringify(getModuleKey(id));
+                let run = isWrapped? ', __commonJS' : '';
+                commonJSIds[id] = !hasESSyntax && !isWrapped;
+
+                // Modules using "module.hot" get the version of it that updates their imports.
+                let hotDeclaration = isUsingHot? '__createHot(__module, typeof module !== "undefined"? module : undefined, typeof require === "function"? require : undefined);' : '';
+
+                s.prepend(`
+                    var __module = __createModule(typeof module !== "undefined"? module : undefined, ${key}${run}); var __exports = __module.exports; ${exportsDeclaration} ${hotDeclaration}
+                `.trim() + '\n');
+            }
+
+            // The helpers are imported from one module, instead of being repeated in every module.
+            let helpers = [];
+
+            if (isUsingModule || hasExports || isWrapped || isSloppy) {
+                helpers.push('createModule as __createModule');
+            }
+
+            if (isUsingHot) {
+                helpers.push('createHot as __createHot');
+            }
+
+            if (hasImports) {
+                helpers.push('interopImport as __interopImport');
+            }
+
+            if (liveBindings && (hasExports || isWrapped)) {
+                helpers.push('liveBinding as __liveBinding');
+            }
+
+            if (hasMissingModules) {
+                helpers.push('missingModule as __missingModule');
+            }
+
+            helperShims.forEach(name => helpers.push(`${name} as __${name}`));
+
+            if (helpers.length) {
+                s.prepend(`import { ${helpers.join(', ')} } from ${JSON.stringify(HELPERS_ID)};\n`);
             }
 
             // We use default exports because it allows us to export arbitrary code.
@@ -301,38 +2214,65 @@ module.exports = function (options = {}) {
             // In this example, there's no way to know what to call that export. 
             // With default exports, we don't need to know.
             if (hasExports) {
+                // Because module.exports is dynamic and allows for arbitrary assignments, everything must 
+                // be assigned to default. But that also means named exports don't work because everything
+                // is attached to the default export.
+                // 
+                // To solve this problem, we export the names that were statically found, such as
+                // "exports.name = ..." or "module.exports = { name }", along with the names
+                // specified in the options configuration for the file. We create an explicit
+                // export statement for each one at the bottom of the file.
+                exported = exported.concat(...namedExportKeys.map(key => namedExports[key]));
+
+                // If the exports can't be found statically, they can be found by executing
+                // the module. This is opt-in, as it executes code during the build.
+                if (!isESModule && !hasESSyntax && sandboxFilter && sandboxFilter(id)) {
+                    try {
+                        exported = exported.concat(findSandboxExports(code, id, options.define));
+                    } catch (e) {
+                        this.warn(`Could not execute ${id} to find its named exports: ${e.message}`);
+                    }
+                }
+            }
+
+            // Rollup warns about names that a module both exports and re-exports with "export *", even though
+            // its own export is used. Modules required by the plugin don't need "__esModule" to be exported, so
+            // modules that re-export leave theirs out, and get it from the modules they re-export if those have it.
+            if (reExports.length) {
+                exported = exported.filter(name => name !== '__esModule');
+            }
 
+            if (isWrapped) {
+                let defaultExport = !isESModule? '__module.exports' : exported.indexOf('default') > -1? '__module.exports.default' : '';
+                wrapModule(s, isESModule && !reExports.length? exported.concat('__esModule') : exported, defaultExport, !isESModule, entryIds.indexOf(id) > -1, !wrapModules && !!cycle, liveBindings);
+            } else if (hasExports) {
                 if (isESModule) {
                     if (!hasESDefaultExport && exported.filter(e => e === 'default').length > 0) {
                         s.append(';\nexport default __exports.default;');
                     }
-                    exported = exported.filter((e, i, a) => e !== 'default' && a.indexOf(e) === i);
-                    exportNames(ast, exported, s);
-                    if (exported.indexOf('__esModule') === -1) {
+                    exportNames(exported, s, liveBindings);
+                    if (!reExports.length && exported.indexOf('__esModule') === -1) {
                         s.append(';\nvar __esModule = true; export { __esModule };');
                     }
                 } else {
                     !hasESDefaultExport && s.append(';\nexport default __module.exports;')
+                    exportNames(exported, s, liveBindings);
                 }
+            }
 
-                // Because module.exports is dynamic and allows for arbitrary assignments, everything must 
-                // be assigned to default. But that also means named exports don't work because everything
-                // is attached to the default export.
-                // 
-                // To solve this problem, we have to manually specify in the options configuration
-                // what files should export what objects. We create an explicit export statement for 
-                // each one at the bottom of the file.
-                let namedExportFile = id.replace(process.cwd(), '').replace(/\\/g, '/').substring(1);
-                if (options && options.namedExports && options.namedExports[namedExportFile]) {
-                    let names = options.namedExports[namedExportFile];
-                    exportNames(ast, names, s);
-                }
+            if (reExports.length) {
+                s.append('\n' + reExports.map(importee => `export * from ${JSON.stringify(importee)};`).join('\n'));
             }
 
+            // Rollup adds the properties of the default export to the namespace of modules with synthetic named
+            // exports, which fails for named exports that are reassigned. Wrapped modules are fine, as their
+            // namespace is created before their body runs. Modules with live bindings only have the exports that are found.
+            let hasLiveBindings = liveBindings && !isWrapped && hasExports && getExportNames(exported).length > 0;
+
             return {
                 code: s.toString(),
                 map: s.generateMap({ source: id }),
-                syntheticNamedExports: !isESModule && hasExports
+                syntheticNamedExports: !isESModule && (hasExports || isWrapped) && !hasLiveBindings
             };
         }
     }
@@ -3,8 +3,10 @@ let commonjs = require('../index');
 let rollup = require('rollup');
 let nollup = require('nollup');
 let path = require('path');
+let fs = require('fs');
+let { decode } = require('sourcemap-codec');
 
-async function generateImpl (files, options, engine, extra_plugins = []) {
+async function generateImpl (files, options, engine, extra_plugins = [], plugin = commonjs(options)) {
     let resolved_files = {};
 
     for (let key in files) {
@@ -16,16 +18,28 @@ async function generateImpl (files, options, engine, extra_plugins = []) {
         plugins: [
             {
                 resolveId (id) {
+                    // Packages that aren't files of the test are left unresolved, like Node's built-in modules.
+                    if (id.startsWith('\0') || !/^[./]/.test(id) && !resolved_files[path.resolve(process.cwd(), id)]) {
+                        return;
+                    }
+
                     return path.resolve(process.cwd(), id);
                 },
                 load (id) {
+                    if (id.startsWith('\0')) {
+                        return;
+                    }
+
                     if (resolved_files[id]) {
                         return resolved_files[id];
                     }
+                    if (fs.existsSync(id)) {
+                        return fs.readFileSync(id, 'utf8');
+                    }
                     return 'import * as main from \'./main.js\'; export default main;'
                 }
             },
-            commonjs(options),
+            plugin,
             ...extra_plugins
         ]
     });
@@ -47,6 +61,35 @@ async function generateBundle (files, options, engine) {
     return (await generateImpl(files, options, engine)).output[0];
 }
 
+async function generateTransforms (files, options, engine) {
+    let plugin = commonjs(options);
+    let transform = plugin.transform;
+    let results = {};
+
+    plugin.transform = async function (code, id) {
+        let result = await transform.call(this, code, id);
+        results[path.relative(process.cwd(), id)] = result;
+        return result;
+    };
+
+    await generateImpl(files, options, engine, [], plugin);
+    return results;
+}
+
+function getPosition (code, text) {
+    let lines = code.substring(0, code.indexOf(text)).split('\n');
+    return { line: lines.length - 1, column: lines[lines.length - 1].length };
+}
+
+// Finds the position in the original code of the first occurrence of the text in the transformed code.
+function getOriginalPosition (result, text) {
+    let position = getPosition(result.code, text);
+    let segments = decode(result.map.mappings)[position.line].filter(segment => segment[0] <= position.column);
+    let segment = segments[segments.length - 1];
+
+    return { line: segment[2], column: segment[3] + position.column - segment[0] };
+}
+
 describe('Rollup Plugin CommonJS Alternate', () => {
     [{
         title: 'Rollup',
@@ -73,6 +116,22 @@ describe('Rollup Plugin CommonJS Alternate', () => {
                     expect(output.default).to.deep.equal({});
                 });
 
+                it ('CJS exports nothing besides its own exports', async () => {
+                    let output = await generate({
+                        './main.js': 'module.exports = { a: 1 };'
+                    }, {}, entry.engine);
+
+                    expect(Object.keys(output).sort()).to.deep.equal(['a', 'default']);
+                });
+
+                it ('CJS exports nothing besides its own exports when wrapped', async () => {
+                    let output = await generate({
+                        './main.js': 'module.exports = { a: 1 };'
+                    }, { wrapModules: true }, entry.engine);
+
+                    expect(Object.keys(output).sort()).to.deep.equal(['a', 'default']);
+                });
+
                 it ('CJS exports default primitive in ESM', async () => {
                     let output = await generate({
                         './main.js': `
@@ -442,6 +501,235 @@ describe('Rollup Plugin CommonJS Alternate', () => {
 
                     expect(output.default.toString()).to.equal('() => require(somevar)');
                 });
+
+                it ('should import each required module once', async () => {
+                    let files = {
+                        './dep.js': `
+                            module.exports = { count: 0 };
+                        `,
+                        './main.js': `
+                            require('./dep.js').count++;
+                            require('./dep.js').count++;
+                            module.exports = require('./dep.js') === require("./dep.js")? require('./dep.js').count : -1;
+                        `
+                    };
+
+                    let output = await generate(files, {}, entry.engine);
+                    let results = await generateTransforms(files, {}, entry.engine);
+
+                    expect(output.default).to.equal(2);
+                    expect(results['main.js'].code.match(/import \* as/g).length).to.equal(1);
+                });
+
+                it ('should escape the required module in the import', async () => {
+                    let output = await generate({
+                        './it\'s.js': `
+                            module.exports = 'quoted';
+                        `,
+                        './main.js': `
+                            module.exports = require("./it's.js");
+                        `
+                    }, {}, entry.engine);
+
+                    expect(output.default).to.equal('quoted');
+                });
+
+                it ('should run required modules in the order they are required', async () => {
+                    let output = await generate({
+                        './log.js': `
+                            module.exports = [];
+                        `,
+                        './a.js': `
+                            require('./log.js').push('a');
+                        `,
+                        './b.js': `
+                            require('./log.js').push('b');
+                        `,
+                        './main.js': `
+                            require('./a.js');
+                            require('./b.js');
+                            module.exports = require('./log.js');
+                        `
+                    }, {}, entry.engine);
+
+                    expect(output.default).to.deep.equal(['a', 'b']);
+                });
+            });
+
+            describe('Scope', () => {
+                it ('should not transform shadowed require, module and exports', async () => {
+                    let output = await generate({
+                        './main.js': `
+                            var modules = {
+                                inner: function (require, module, exports) {
+                                    exports.dep = require('./dep.js');
+                                    module.exports.message = 'inner';
+                                }
+                            };
+
+                            var mod = { exports: {} };
+                            modules.inner(function (id) { return 'custom ' + id }, mod, mod.exports);
+                            module.exports = mod.exports;
+                        `
+                    }, {}, entry.engine);
+
+                    expect(output.default).to.deep.equal({ dep: 'custom ./dep.js', message: 'inner' });
+                });
+
+                it ('should not transform top level declarations of module', async () => {
+                    let output = await generate({
+                        './main.js': `
+                            const module = { exports: 'local' };
+                            export default module.exports;
+                        `
+                    }, {}, entry.engine);
+
+                    expect(output.default).to.equal('local');
+                });
+
+                it ('should not transform variables declared in blocks and destructuring', async () => {
+                    let output = await generate({
+                        './main.js': `
+                            var result = [];
+
+                            {
+                                let { exports } = { exports: 'block' };
+                                result.push(exports);
+                            }
+
+                            try {
+                                throw 'catch';
+                            } catch (module) {
+                                result.push(module);
+                            }
+
+                            [['array']].forEach(([module]) => result.push(module));
+                            module.exports = result;
+                        `
+                    }, {}, entry.engine);
+
+                    expect(output.default).to.deep.equal(['block', 'catch', 'array']);
+                });
+
+                it ('should not treat object keys as CommonJS', async () => {
+                    let output = await generateBundle({
+                        './main.js': `
+                            export default { module: 1, exports: 2 };
+                        `
+                    }, {}, entry.engine);
+
+                    expect(output.code.indexOf('__module') > -1).to.be.false;
+                });
+
+                it ('should keep the key of shorthand module properties', async () => {
+                    let output = await generate({
+                        './main.js': `
+                            var wrapper = { module };
+                            module.exports = Object.keys(wrapper);
+                        `
+                    }, {}, entry.engine);
+
+                    expect(output.default).to.deep.equal(['module']);
+                });
+            });
+
+            describe('Options: dynamicRequireContexts', () => {
+                it ('should not transform dynamic requires by default', async () => {
+                    let output = await generate({
+                        './main.js': `
+                            module.exports = lang => require('./test/fixtures/locales/' + lang + '.js');
+                        `
+                    }, {}, entry.engine);
+
+                    expect(output.default.toString()).to.contain('require(');
+                });
+
+                it ('should require files matching template literals', async () => {
+                    let output = await generate({
+                        './main.js': `
+                            module.exports = lang => require(\`./test/fixtures/locales/\${lang}.js\`);
+                        `
+                    }, {
+                        dynamicRequireContexts: true
+                    }, entry.engine);
+
+                    expect(output.default('en')).to.equal('hello');
+                    expect(output.default('fr')).to.equal('bonjour');
+                });
+
+                it ('should require files matching concatenated strings with Node resolution', async () => {
+                    let output = await generate({
+                        './main.js': `
+                            module.exports = name => require('./test/fixtures/locales/' + name);
+                        `
+                    }, {
+                        dynamicRequireContexts: true
+                    }, entry.engine);
+
+                    expect(output.default('en')).to.equal('hello');
+                    expect(output.default('fr.js')).to.equal('bonjour');
+                    expect(output.default('nested')).to.equal('nested');
+                    expect(output.default('nested/index')).to.equal('nested');
+                });
+
+                it ('should throw for files that do not exist', async () => {
+                    let output = await generate({
+                        './main.js': `
+                            module.exports = name => require('./test/fixtures/locales/' + name);
+                        `
+                    }, {
+                        dynamicRequireContexts: true
+                    }, entry.engine);
+
+                    expect(() => output.default('de')).to.throw('Cannot find module \'./test/fixtures/locales/de\'');
+                    expect(() => output.default('notes.txt')).to.throw('Cannot find module');
+                });
+
+                it ('should only search as deep as the static parts of the require', async () => {
+                    let output = await generate({
+                        './main.js': `
+                            module.exports = name => require('./test/fixtures/locales/' + name);
+                        `
+                    }, {
+                        dynamicRequireContexts: true
+                    }, entry.engine);
+
+                    expect(output.default('nested')).to.equal('nested');
+                    expect(() => output.default('nested/deep')).to.throw('Cannot find module');
+                    expect(() => output.default('.hidden')).to.throw('Cannot find module');
+                });
+
+                it ('should not follow symlinked directories', async () => {
+                    let link = path.resolve(process.cwd(), 'test/fixtures/locales/nested/parent');
+                    fs.symlinkSync('..', link, 'dir');
+
+                    try {
+                        let output = await generate({
+                            './main.js': `
+                                module.exports = name => require('./test/fixtures/locales/nested/' + name);
+                            `
+                        }, {
+                            dynamicRequireContexts: true
+                        }, entry.engine);
+
+                        expect(output.default('index')).to.equal('nested');
+                        expect(() => output.default('parent/en')).to.throw('Cannot find module');
+                    } finally {
+                        fs.unlinkSync(link);
+                    }
+                });
+
+                it ('should leave requires without a static directory', async () => {
+                    let output = await generate({
+                        './main.js': `
+                            module.exports = name => require(name + '.js');
+                        `
+                    }, {
+                        dynamicRequireContexts: true
+                    }, entry.engine);
+
+                    expect(output.default.toString()).to.contain('require(');
+                });
             });
 
             describe('Conditional Require', () => {
@@ -537,111 +825,2068 @@ describe('Rollup Plugin CommonJS Alternate', () => {
                     expect(output.code.indexOf('123') > -1).to.be.true;
                     expect(output.code.indexOf('456') > -1).to.be.false;
                 });
-            });
 
-            describe('Synthetic Named Exports', () => {
-                it ('CJS with synthetic named exports top level - variable declaration', async () => {
-                    let output = await generate({
+                it ('should evaluate negated conditions', async () => {
+                    let output = await generateBundle({
+                        './dep1.js': `module.exports = 123`,
+                        './dep2.js': `module.exports = 456`,
                         './main.js': `
-                            const message = 'hello world';
-                            var MyLib = { message };
-                            module.exports = MyLib;
+                            if (!(1 == 1)) {
+                                module.exports = require('./dep1.js');
+                            } else {
+                                module.exports = require('./dep2.js');
+                            }
                         `
                     }, {}, entry.engine);
 
-                    expect(output.message).to.equal('hello world');
+                    expect(output.code.indexOf('123') > -1).to.be.false;
+                    expect(output.code.indexOf('456') > -1).to.be.true;
                 });
 
-                it ('CJS with synthetic named exports top level - class', async () => {
-                    let output = await generate({
+                it ('should evaluate ternaries', async () => {
+                    let output = await generateBundle({
+                        './dep1.js': `module.exports = 123`,
+                        './dep2.js': `module.exports = 456`,
                         './main.js': `
-                            class SomethingElse {};
-                            class Message { getMessage () { return 'hello world' } };
-                            var MyLib = { Message };
-                            module.exports = MyLib;
+                            module.exports = process.env.NODE_ENV === 'production'? require('./dep1.js') : require('./dep2.js');
                         `
-                    }, {}, entry.engine);
+                    }, {
+                        define: {
+                            'process.env.NODE_ENV': JSON.stringify('production')
+                        }
+                    }, entry.engine);
 
-                    expect(new output.Message().getMessage()).to.equal('hello world');
+                    expect(output.code.indexOf('123') > -1).to.be.true;
+                    expect(output.code.indexOf('456') > -1).to.be.false;
                 });
-            });
 
-            describe ('Options: extensions', () => {
-                it ('should allow to specify additional extensions for transforming', async () => {
-                    let output = await generate({
+                it ('should evaluate && and || short circuits', async () => {
+                    let output = await generateBundle({
+                        './dep1.js': `module.exports = 123`,
+                        './dep2.js': `module.exports = 456`,
                         './main.js': `
-                            import dep from './dep.jsx';
-                            export default dep;
-                        `,
-                        './dep.jsx': `
-                            module.exports = 'hello';
+                            module.exports = ('a' === 'b' && require('./dep1.js')) || ('a' === 'a' || require('./dep2.js'));
                         `
-                    }, {
-                        extensions: ['.js', '.jsx']
-                    }, entry.engine);
+                    }, {}, entry.engine);
 
-                    expect(output.default).to.equal('hello');
+                    expect(output.code.indexOf('123') > -1).to.be.false;
+                    expect(output.code.indexOf('456') > -1).to.be.false;
                 });
-            });
 
-            describe('Options: define', () => {
-                it ('should replace all instances of definitions', async () => {
+                it ('should resolve conditions with unknown parts if they cannot affect the result', async () => {
                     let output = await generateBundle({
+                        './dep1.js': `module.exports = 123`,
+                        './dep2.js': `module.exports = 456`,
                         './main.js': `
-                            console.log(process.env.NODE_ENV + process.env.NODE_ENV);
-                            console.log(__DEBUG__ + __DEBUG__);
+                            if (!module.hot || process.env.NODE_ENV === 'production' || !platformSupported) {
+                                module.exports = require('./dep1.js');
+                            } else {
+                                module.exports = require('./dep2.js');
+                            }
                         `
                     }, {
                         define: {
-                            'process.env.NODE_ENV': JSON.stringify("development"),
-                            '__DEBUG__': JSON.stringify(1)
+                            'process.env.NODE_ENV': JSON.stringify('production')
                         }
                     }, entry.engine);
 
-                    expect(output.code.indexOf('console.log("development" + "development");') > -1).to.be.true;
-                    expect(output.code.indexOf('console.log(1 + 1);') > -1).to.be.true;
+                    expect(output.code.indexOf('123') > -1).to.be.true;
+                    expect(output.code.indexOf('456') > -1).to.be.false;
                 });
-            });
 
-            describe('Miscellanous Issues', () => {
-                it ('assigning module.exports to exports', async () => {
-                    let output = await generate({
+                it ('should include all branches if condition cannot be determined', async () => {
+                    let output = await generateBundle({
+                        './dep1.js': `module.exports = 123`,
+                        './dep2.js': `module.exports = 456`,
                         './main.js': `
-                            "use strict";
-
-                            Object.defineProperty(exports, "__esModule", {
-                              value: true
-                            });
-                            exports.default = getMessage;
-
-
-                            function getMessage() {
-                              return 'hello world';
-                            }
-
-                            module.exports = exports.default;
-                            module.exports.default = exports.default;
+                            module.exports = module.hot? require('./dep1.js') : require('./dep2.js');
                         `
                     }, {}, entry.engine);
 
-                    expect(output.default()).to.equal('hello world');
+                    expect(output.code.indexOf('123') > -1).to.be.true;
+                    expect(output.code.indexOf('456') > -1).to.be.true;
                 });
 
-                it ('"typeof module !== "undefined" && module.exports" in UMD should pass', async () => {
-                    let output = await generate({
+                it ('should evaluate switch statements', async () => {
+                    let output = await generateBundle({
+                        './dep1.js': `module.exports = 123`,
+                        './dep2.js': `module.exports = 456`,
+                        './dep3.js': `module.exports = 789`,
                         './main.js': `
-                            "use strict";
+                            switch (process.env.NODE_ENV) {
+                                case 'development':
+                                    module.exports = require('./dep1.js');
+                                    break;
 
-                            if (typeof module !== "undefined" && module.exports) {
-                                module.exports = 123;
+                                case 'production':
+                                    module.exports = require('./dep2.js');
+                                    break;
+
+                                default:
+                                    module.exports = require('./dep3.js');
                             }
                         `
-                    }, {}, entry.engine);
+                    }, {
+                        define: {
+                            'process.env.NODE_ENV': JSON.stringify('production')
+                        }
+                    }, entry.engine);
 
-                    expect(output.default).to.equal(123);
+                    expect(output.code.indexOf('123') > -1).to.be.false;
+                    expect(output.code.indexOf('456') > -1).to.be.true;
+                    expect(output.code.indexOf('789') > -1).to.be.false;
                 });
 
-                it ('"typeof module !== "undefined" && module.hot" in UMD should not pass', async () => {
+                it ('should include fall through cases in switch statements', async () => {
+                    let output = await generateBundle({
+                        './dep1.js': `module.exports = 123`,
+                        './dep2.js': `module.exports = 456`,
+                        './dep3.js': `module.exports = 789`,
+                        './main.js': `
+                            switch ('other') {
+                                case 'development':
+                                    module.exports = require('./dep1.js');
+                                    break;
+
+                                default:
+                                    module.exports = require('./dep2.js');
+
+                                case 'production':
+                                    module.exports = require('./dep3.js');
+                            }
+                        `
+                    }, {}, entry.engine);
+
+                    expect(output.code.indexOf('123') > -1).to.be.false;
+                    expect(output.code.indexOf('456') > -1).to.be.true;
+                    expect(output.code.indexOf('789') > -1).to.be.true;
+                });
+            });
+
+            describe('Optional Require', () => {
+                it ('should import optional dependencies that can be resolved', async () => {
+                    let output = await generate({
+                        './dep.js': `
+                            module.exports = 'dep';
+                        `,
+                        './main.js': `
+                            let dep = 'fallback';
+                            try {
+                                dep = require('dep.js');
+                            } catch (e) {}
+                            module.exports = dep;
+                        `
+                    }, {}, entry.engine);
+
+                    expect(output.default).to.equal('dep');
+                });
+
+                if (entry.title === 'Rollup') {
+                    it ('should throw for optional dependencies that can not be resolved', async () => {
+                        let files = {
+                            './main.js': `
+                                let fsevents;
+                                try {
+                                    fsevents = require('fsevents');
+                                } catch (e) {
+                                    fsevents = e.message + ' ' + e.code;
+                                }
+                                module.exports = fsevents;
+                            `
+                        };
+
+                        let warn = console.warn;
+                        let warnings = [];
+                        console.warn = message => warnings.push(message);
+                        let code;
+
+                        try {
+                            code = (await generateBundle(files, {}, entry.engine)).code;
+                        } finally {
+                            console.warn = warn;
+                        }
+
+                        expect(code).not.to.match(/import .* from ["']fsevents/);
+                        expect(warnings.join('\n')).to.contain('Optional dependency "fsevents" required by main.js could not be resolved');
+                        expect((await generate(files, {}, entry.engine)).default).to.equal('Cannot find module \'fsevents\' MODULE_NOT_FOUND');
+                        expect((await generate(files, { wrapModules: true }, entry.engine)).default).to.equal('Cannot find module \'fsevents\' MODULE_NOT_FOUND');
+                        expect((await generate(files, { sloppyModules: true }, entry.engine)).default).to.equal('Cannot find module \'fsevents\' MODULE_NOT_FOUND');
+                    });
+
+                    it ('should only treat requires that run inside of the try block as optional', async () => {
+                        let { code } = await generateBundle({
+                            './main.js': `
+                                try {
+                                    exports.load = function () { return require('a'); };
+                                } catch (e) {
+                                    exports.b = require('b');
+                                } finally {
+                                    exports.c = require('c');
+                                }
+                            `
+                        }, {}, entry.engine);
+
+                        expect(code).to.match(/import .* from ["']a["']/);
+                        expect(code).to.match(/import .* from ["']b["']/);
+                        expect(code).to.match(/import .* from ["']c["']/);
+                        expect(code).not.to.contain('missingModule(');
+                    });
+
+                    it ('should not treat requires of files as optional', async () => {
+                        let { code } = (await generateTransforms({
+                            './main.js': `
+                                try {
+                                    exports.dep = require('./missing.js');
+                                } catch (e) {}
+                            `
+                        }, {}, entry.engine))['main.js'];
+
+                        expect(code).to.contain('import * as __require__import__0 from "./missing.js";');
+                        expect(code).not.to.contain('__missingModule(');
+                    });
+                }
+            });
+
+            describe('Top Level This and UMD', () => {
+                let umd = `
+                    (function (root, factory) {
+                        if (typeof define === 'function' && define.amd) {
+                            define(['./dep.js'], factory);
+                        } else if (typeof module === 'object' && module.exports) {
+                            module.exports = factory(require('./dep.js'));
+                        } else {
+                            root.returnExports = factory(root.dep);
+                        }
+                    }(this, function (dep) {
+                        return { dep: dep };
+                    }));
+                `;
+
+                it ('should use the exports as top level this', async () => {
+                    let output = await generate({
+                        './main.js': `
+                            this.a = 1;
+                            (function (root) {
+                                root.b = 2;
+                            })(this);
+                            var getThis = () => this;
+                            exports.same = getThis() === exports;
+                            exports.inner = (function () { return this === exports })();
+                        `
+                    }, {}, entry.engine);
+
+                    expect(output.a).to.equal(1);
+                    expect(output.default.a).to.equal(1);
+                    expect(output.default.b).to.equal(2);
+                    expect(output.default.same).to.be.true;
+                    expect(output.default.inner).to.be.false;
+                });
+
+                it ('should provide the types of the CommonJS variables', async () => {
+                    let output = await generate({
+                        './main.js': `
+                            module.exports = [typeof exports, typeof module, typeof require, typeof define];
+                        `
+                    }, {}, entry.engine);
+
+                    expect(output.default).to.deep.equal(['object', 'object', 'function', 'undefined']);
+                });
+
+                it ('should keep the check for require, which browsers do not have', async () => {
+                    let { code } = (await generateTransforms({
+                        './main.js': `
+                            var r = typeof require === "function"? require : null;
+                            module.exports = r;
+                        `
+                    }, {}, entry.engine))['main.js'];
+
+                    expect(code).to.contain('var r = typeof require === "function"? require : null;');
+                });
+
+                it ('should not change the types of declared variables', async () => {
+                    let output = await generate({
+                        './main.js': `
+                            var define = function () {};
+                            module.exports = typeof define;
+                        `
+                    }, {}, entry.engine);
+
+                    expect(output.default).to.equal('function');
+                });
+
+                it ('should choose the CommonJS branch of UMD modules', async () => {
+                    let output = await generate({
+                        './main.js': umd,
+                        './dep.js': 'module.exports = 123;'
+                    }, {}, entry.engine);
+
+                    expect(output.default.dep).to.equal(123);
+                });
+
+                it ('should choose the CommonJS branch of UMD modules even if AMD is available', async () => {
+                    let amdCalls = [];
+                    global.define = function () { amdCalls.push(arguments) };
+                    global.define.amd = {};
+
+                    try {
+                        let output = await generate({
+                            './main.js': umd,
+                            './dep.js': 'module.exports = 123;'
+                        }, {}, entry.engine);
+
+                        expect(output.default.dep).to.equal(123);
+                        expect(amdCalls.length).to.equal(0);
+                    } finally {
+                        delete global.define;
+                    }
+                });
+
+                it ('should remove the AMD and global branches of UMD modules', async () => {
+                    let output = await generateBundle({
+                        './main.js': umd,
+                        './dep.js': 'module.exports = 123;'
+                    }, { removeDeadBranches: true }, entry.engine);
+
+                    expect(output.code.indexOf('define(') > -1).to.be.false;
+                    expect(output.code.indexOf('returnExports') > -1).to.be.false;
+                });
+            });
+
+            describe('Options: removeDeadBranches', () => {
+                it ('should remove dead if and else branches', async () => {
+                    let output = await generateBundle({
+                        './dep1.js': `module.exports = 123`,
+                        './dep2.js': `module.exports = 456`,
+                        './main.js': `
+                            if (1 == 2) {
+                                module.exports = require('./dep1.js');
+                            } else {
+                                module.exports = require('./dep2.js');
+                            }
+
+                            if (1 == 1) {
+                                exports.message = 'hello';
+                            } else {
+                                require('./dep1.js');
+                            }
+                        `
+                    }, {
+                        removeDeadBranches: true
+                    }, entry.engine);
+
+                    expect(output.code.indexOf('dep1.js') > -1).to.be.false;
+                    expect(output.code.indexOf('456') > -1).to.be.true;
+                });
+
+                it ('should remove dead branches of ternaries and logical expressions', async () => {
+                    let output = await generate({
+                        './dep1.js': `module.exports = 123`,
+                        './dep2.js': `module.exports = 456`,
+                        './main.js': `
+                            var a = 1 == 2? require('./dep1.js') : require('./dep2.js');
+                            var b = 1 == 1 || require('./dep1.js');
+                            module.exports = [a, b];
+                        `
+                    }, {
+                        removeDeadBranches: true
+                    }, entry.engine);
+
+                    expect(output.default).to.deep.equal([456, true]);
+                });
+
+                it ('should remove dead switch cases', async () => {
+                    let output = await generate({
+                        './dep1.js': `module.exports = 123`,
+                        './dep2.js': `module.exports = 456`,
+                        './main.js': `
+                            switch ('production') {
+                                case 'development':
+                                    module.exports = require('./dep1.js');
+                                    break;
+
+                                case 'production':
+                                    module.exports = require('./dep2.js');
+                                    break;
+                            }
+                        `
+                    }, {
+                        removeDeadBranches: true
+                    }, entry.engine);
+
+                    expect(output.default).to.equal(456);
+                });
+
+                it ('should keep var declarations from removed branches', async () => {
+                    let output = await generate({
+                        './dep1.js': `module.exports = 123`,
+                        './main.js': `
+                            if (1 == 2) {
+                                var dep = require('./dep1.js');
+                            }
+
+                            module.exports = typeof dep;
+                        `
+                    }, {
+                        removeDeadBranches: true
+                    }, entry.engine);
+
+                    expect(output.default).to.equal('undefined');
+                });
+            });
+
+            describe('Synthetic Named Exports', () => {
+                it ('CJS with synthetic named exports top level - variable declaration', async () => {
+                    let output = await generate({
+                        './main.js': `
+                            const message = 'hello world';
+                            var MyLib = { message };
+                            module.exports = MyLib;
+                        `
+                    }, {}, entry.engine);
+
+                    expect(output.message).to.equal('hello world');
+                });
+
+                it ('CJS with synthetic named exports top level - class', async () => {
+                    let output = await generate({
+                        './main.js': `
+                            class SomethingElse {};
+                            class Message { getMessage () { return 'hello world' } };
+                            var MyLib = { Message };
+                            module.exports = MyLib;
+                        `
+                    }, {}, entry.engine);
+
+                    expect(new output.Message().getMessage()).to.equal('hello world');
+                });
+            });
+
+            describe('Options: namedExports', () => {
+                let lib = `
+                    var api = {};
+                    api.walk = 'walk';
+                    module.exports = api;
+                `;
+
+                it ('should match keys resolved by plugins', async () => {
+                    let output = await generate({
+                        './main.js': `export * from './node_modules/lib/index.js';`,
+                        './node_modules/lib/index.js': lib
+                    }, {
+                        namedExports: {
+                            './node_modules/lib/index.js': ['walk']
+                        }
+                    }, entry.engine);
+
+                    expect(output.walk).to.equal('walk');
+                });
+
+                it ('should match package names', async () => {
+                    let output = await generate({
+                        './main.js': `export * from './node_modules/estree-walker/dist/estree-walker.umd.js';`,
+                        './node_modules/estree-walker/dist/estree-walker.umd.js': lib
+                    }, {
+                        namedExports: {
+                            'estree-walker': ['walk']
+                        }
+                    }, entry.engine);
+
+                    expect(output.walk).to.equal('walk');
+                });
+
+                it ('should match keys relative to the working directory', async () => {
+                    let output = await generate({
+                        './main.js': `export * from './node_modules/lib/index.js';`,
+                        './node_modules/lib/index.js': lib
+                    }, {
+                        namedExports: {
+                            'node_modules/lib/index.js': ['walk']
+                        }
+                    }, entry.engine);
+
+                    expect(output.walk).to.equal('walk');
+                });
+
+                it ('should warn if a key does not match any module', async () => {
+                    let warn = console.warn;
+                    let warnings = [];
+                    console.warn = message => warnings.push(message);
+
+                    try {
+                        await generate({
+                            './main.js': `module.exports = {};`,
+                        }, {
+                            namedExports: {
+                                'main.js': ['walk'],
+                                'missing.js': ['walk']
+                            }
+                        }, entry.engine);
+                    } finally {
+                        console.warn = warn;
+                    }
+
+                    expect(warnings.join('\n')).to.contain('"missing.js"');
+                    expect(warnings.join('\n')).not.to.contain('"main.js"');
+                });
+            });
+
+            describe('Static Named Exports', () => {
+                it ('should export names of object literal assigned to module.exports', async () => {
+                    let output = await generate({
+                        './main.js': `
+                            export * from './dep.js';
+                        `,
+                        './dep.js': `
+                            var a = 1;
+                            module.exports = { a, b: 2, 'c': 3, d () { return 4 } };
+                        `
+                    }, {}, entry.engine);
+
+                    expect(output.a).to.equal(1);
+                    expect(output.b).to.equal(2);
+                    expect(output.c).to.equal(3);
+                    expect(output.d()).to.equal(4);
+                });
+
+                it ('should export names assigned to exports', async () => {
+                    let output = await generate({
+                        './main.js': `
+                            export * from './dep.js';
+                        `,
+                        './dep.js': `
+                            exports.a = 1;
+                            module.exports.b = 2;
+                            exports['c'] = 3;
+                        `
+                    }, {}, entry.engine);
+
+                    expect(output.a).to.equal(1);
+                    expect(output.b).to.equal(2);
+                    expect(output.c).to.equal(3);
+                });
+
+                it ('should export names assigned through variables referring to the exports', async () => {
+                    let output = await generate({
+                        './main.js': `
+                            export * from './dep.js';
+                        `,
+                        './dep.js': `
+                            var api = module.exports;
+                            var exp = exports;
+                            var created = module.exports = exports = {};
+                            var later;
+                            later = exports;
+                            api.a = 1;
+                            exp.b = 2;
+                            created.c = 3;
+                            later.d = 4;
+                            Object.defineProperty(created, 'e', { value: 5, enumerable: true });
+                        `
+                    }, {}, entry.engine);
+
+                    expect(output.a).to.be.undefined;
+                    expect(output.b).to.be.undefined;
+                    expect([output.c, output.d, output.e]).to.deep.equal([3, 4, 5]);
+                });
+
+                it ('should export names assigned to functions that replace the exports', async () => {
+                    let output = await generate({
+                        './main.js': `
+                            export * from './dep.js';
+                            export { default } from './dep.js';
+                        `,
+                        './dep.js': `
+                            var api = module.exports = exports = function () { return 'called'; };
+                            exports.a = 1;
+                            api.b = 2;
+                        `
+                    }, {}, entry.engine);
+
+                    expect(output.default()).to.equal('called');
+                    expect(output.a).to.equal(1);
+                    expect(output.b).to.equal(2);
+                });
+
+                it ('should not export names assigned to variables that shadow an alias of the exports', async () => {
+                    let results = await generateTransforms({
+                        './main.js': `
+                            var api = module.exports;
+                            function create () {
+                                var api = {};
+                                api.inner = 1;
+                                return api;
+                            }
+                            api.outer = create();
+                        `
+                    }, {}, entry.engine);
+
+                    expect(results['main.js'].code).to.contain('export { __export__outer as outer }');
+                    expect(results['main.js'].code).not.to.contain('__export__inner');
+                });
+
+                it ('should not export names assigned to an alias after it is reassigned', async () => {
+                    let results = await generateTransforms({
+                        './main.js': `
+                            var api = module.exports;
+                            api.a = 1;
+                            api = {};
+                            api.b = 2;
+                        `
+                    }, {}, entry.engine);
+
+                    expect(results['main.js'].code).to.contain('export { __export__a as a }');
+                    expect(results['main.js'].code).not.to.contain('__export__b');
+                });
+
+                it ('should export the exported value instead of top level variables with the same name', async () => {
+                    let output = await generate({
+                        './main.js': `
+                            export * from './dep.js';
+                        `,
+                        './dep.js': `
+                            var a = 'local';
+                            module.exports = { a: 'exported' };
+                        `
+                    }, {}, entry.engine);
+
+                    expect(output.a).to.equal('exported');
+                });
+
+                it ('should support names that cannot be variables', async () => {
+                    let output = await generate({
+                        './main.js': `
+                            export * from './dep.js';
+                        `,
+                        './dep.js': `
+                            exports.delete = 1;
+                            exports.exports = 2;
+                            exports.module = 3;
+                        `
+                    }, {}, entry.engine);
+
+                    expect(output.delete).to.equal(1);
+                    expect(output.exports).to.equal(2);
+                    expect(output.module).to.equal(3);
+                });
+
+                it ('should merge with namedExports', async () => {
+                    let output = await generate({
+                        './main.js': `
+                            export * from './dep.js';
+                        `,
+                        './dep.js': `
+                            var lib = { b: 2 };
+                            module.exports = lib;
+                            module.exports.a = 1;
+                        `
+                    }, {
+                        namedExports: {
+                            'dep.js': ['a', 'b']
+                        }
+                    }, entry.engine);
+
+                    expect(output.a).to.equal(1);
+                    expect(output.b).to.equal(2);
+                });
+            });
+
+            describe('Transpiler Re-exports', () => {
+                let foo = `
+                    Object.defineProperty(exports, '__esModule', { value: true });
+                    exports.a = 'a';
+                    exports.b = 'b';
+                `;
+
+                let main = `
+                    import { a, b, own } from './reexport.js';
+                    export default [a, b, own];
+                `;
+
+                it ('should re-export modules copied with Object.keys like Babel', async () => {
+                    let output = await generate({
+                        './foo.js': foo,
+                        './reexport.js': `
+                            "use strict";
+                            Object.defineProperty(exports, "__esModule", { value: true });
+                            var _exportNames = { own: true };
+                            exports.own = void 0;
+                            var _foo = _interopRequireWildcard(require("./foo.js"));
+                            Object.keys(_foo).forEach(function (key) {
+                                if (key === "default" || key === "__esModule") return;
+                                if (Object.prototype.hasOwnProperty.call(_exportNames, key)) return;
+                                if (key in exports && exports[key] === _foo[key]) return;
+                                Object.defineProperty(exports, key, {
+                                    enumerable: true,
+                                    get: function () {
+                                        return _foo[key];
+                                    }
+                                });
+                            });
+                            function _interopRequireWildcard(obj) { return obj; }
+                            var own = 'own';
+                            exports.own = own;
+                        `,
+                        './main.js': main
+                    }, {}, entry.engine);
+
+                    expect(output.default).to.deep.equal(['a', 'b', 'own']);
+                });
+
+                it ('should re-export modules passed to __exportStar like TypeScript', async () => {
+                    let output = await generate({
+                        './foo.js': `
+                            exports.a = 'a';
+                        `,
+                        './bar.js': `
+                            exports.b = 'b';
+                        `,
+                        './reexport.js': `
+                            "use strict";
+                            var __createBinding = (this && this.__createBinding) || function (o, m, k, k2) {
+                                if (k2 === undefined) k2 = k;
+                                Object.defineProperty(o, k2, { enumerable: true, get: function () { return m[k]; } });
+                            };
+                            var __exportStar = (this && this.__exportStar) || function (m, exports) {
+                                for (var p in m) if (p !== "default" && !Object.prototype.hasOwnProperty.call(exports, p)) __createBinding(exports, m, p);
+                            };
+                            Object.defineProperty(exports, "__esModule", { value: true });
+                            __exportStar(require("./foo.js"), exports);
+                            var tslib_1 = { __exportStar: __exportStar };
+                            var bar_1 = require("./bar.js");
+                            tslib_1.__exportStar(bar_1, exports);
+                            exports.own = 'own';
+                        `,
+                        './main.js': main
+                    }, {}, entry.engine);
+
+                    expect(output.default).to.deep.equal(['a', 'b', 'own']);
+                });
+
+                it ('should re-export modules passed to __export like older TypeScript', async () => {
+                    let output = await generate({
+                        './foo.js': foo,
+                        './reexport.js': `
+                            "use strict";
+                            function __export(m) {
+                                for (var p in m) if (!exports.hasOwnProperty(p)) exports[p] = m[p];
+                            }
+                            Object.defineProperty(exports, "__esModule", { value: true });
+                            __export(require("./foo.js"));
+                            exports.own = 'own';
+                        `,
+                        './main.js': main
+                    }, {}, entry.engine);
+
+                    expect(output.default).to.deep.equal(['a', 'b', 'own']);
+                });
+
+                it ('should export the names bound with __createBinding', async () => {
+                    let output = await generate({
+                        './foo.js': foo,
+                        './reexport.js': `
+                            "use strict";
+                            var __createBinding = function (o, m, k, k2) {
+                                if (k2 === undefined) k2 = k;
+                                Object.defineProperty(o, k2, { enumerable: true, get: function () { return m[k]; } });
+                            };
+                            Object.defineProperty(exports, "__esModule", { value: true });
+                            var foo_1 = require("./foo.js");
+                            __createBinding(exports, foo_1, "a");
+                            __createBinding(exports, foo_1, "a", "b");
+                            __createBinding(exports, foo_1, "b", "own");
+                        `,
+                        './main.js': main
+                    }, {}, entry.engine);
+
+                    expect(output.default).to.deep.equal(['a', 'a', 'b']);
+                });
+
+                it ('should not warn about the exports of the plugin and transpilers', async () => {
+                    let warnings = [];
+                    let warn = console.warn;
+                    console.warn = message => warnings.push(message);
+
+                    try {
+                        await generate({
+                            './foo.js': foo,
+                            './reexport.js': `
+                                Object.defineProperty(exports, "__esModule", { value: true });
+                                __export(require("./foo.js"));
+                                function __export(m) {
+                                    for (var p in m) if (!exports.hasOwnProperty(p)) exports[p] = m[p];
+                                }
+                                exports.own = 'own';
+                            `,
+                            './main.js': main
+                        }, {}, entry.engine);
+                    } finally {
+                        console.warn = warn;
+                    }
+
+                    expect(warnings.join('\n')).not.to.contain('Conflicting namespaces');
+                });
+            });
+
+            describe('Options: sandboxNamedExports', () => {
+                let lib = `
+                    var api = {};
+                    ['createElement', 'Component'].forEach(function (key) {
+                        api[key] = key;
+                    });
+                    module.exports = api;
+                `;
+
+                it ('should not execute modules by default', async () => {
+                    let output = await generateBundle({
+                        './main.js': `export * from './node_modules/lib/index.js';`,
+                        './node_modules/lib/index.js': lib
+                    }, {}, entry.engine);
+
+                    expect(output.code.indexOf('__export__createElement') > -1).to.be.false;
+                });
+
+                it ('should execute modules in node_modules to find their exports', async () => {
+                    let output = await generate({
+                        './main.js': `export * from './node_modules/lib/index.js';`,
+                        './node_modules/lib/index.js': lib
+                    }, {
+                        sandboxNamedExports: true
+                    }, entry.engine);
+
+                    expect(output.createElement).to.equal('createElement');
+                    expect(output.Component).to.equal('Component');
+                });
+
+                it ('should only execute modules in node_modules if set to true', async () => {
+                    let output = await generateBundle({
+                        './main.js': `export * from './lib.js';`,
+                        './lib.js': lib
+                    }, {
+                        sandboxNamedExports: true
+                    }, entry.engine);
+
+                    expect(output.code.indexOf('__export__createElement') > -1).to.be.false;
+                });
+
+                it ('should execute modules matching patterns', async () => {
+                    let output = await generate({
+                        './main.js': `export * from './lib.js';`,
+                        './lib.js': lib
+                    }, {
+                        sandboxNamedExports: ['lib.js']
+                    }, entry.engine);
+
+                    expect(output.createElement).to.equal('createElement');
+                });
+
+                it ('should provide process.env and globals from define', async () => {
+                    let output = await generate({
+                        './main.js': `export * from './lib.js';`,
+                        './lib.js': `
+                            var api = {};
+                            api[process.env.NODE_ENV] = __DEBUG__;
+                            module.exports = api;
+                        `
+                    }, {
+                        sandboxNamedExports: ['lib.js'],
+                        define: {
+                            'process.env.NODE_ENV': JSON.stringify('production'),
+                            '__DEBUG__': JSON.stringify(true)
+                        }
+                    }, entry.engine);
+
+                    expect(output.production).to.be.true;
+                });
+
+                it ('should not give modules objects from the build', async () => {
+                    let output = await generate({
+                        './main.js': `export * from './lib.js';`,
+                        './lib.js': `
+                            var leaked = [require, module, process, process.cwd].filter(function (value) {
+                                try {
+                                    return typeof value.constructor.constructor('return process')() !== 'undefined';
+                                } catch (e) {
+                                    return false;
+                                }
+                            });
+
+                            var api = {};
+                            api['leaked' + leaked.length] = true;
+                            module.exports = api;
+                        `
+                    }, {
+                        sandboxNamedExports: ['lib.js']
+                    }, entry.engine);
+
+                    // The exports are named after what the sandbox found, their values are from the bundle.
+                    expect(Object.keys(output)).to.include('leaked0');
+                });
+
+                it ('should not fail the build if the module throws', async () => {
+                    let output = await generateBundle({
+                        './main.js': `export * from './lib.js';`,
+                        './lib.js': `
+                            window.setup();
+                            module.exports = {};
+                        `
+                    }, {
+                        sandboxNamedExports: ['lib.js']
+                    }, entry.engine);
+
+                    expect(output.code.indexOf('window.setup()') > -1).to.be.true;
+                });
+            });
+
+            describe ('Options: extensions', () => {
+                it ('should allow to specify additional extensions for transforming', async () => {
+                    let output = await generate({
+                        './main.js': `
+                            import dep from './dep.jsx';
+                            export default dep;
+                        `,
+                        './dep.jsx': `
+                            module.exports = 'hello';
+                        `
+                    }, {
+                        extensions: ['.js', '.jsx']
+                    }, entry.engine);
+
+                    expect(output.default).to.equal('hello');
+                });
+            });
+
+            describe('Options: include and exclude', () => {
+                let files = {
+                    './main.js': `
+                        import './dep.js';
+                        import './other.js';
+                        export default 123;
+                    `,
+                    './dep.js': `
+                        module.exports.dep = 1;
+                    `,
+                    './other.js': `
+                        module.exports.other = 2;
+                    `
+                };
+
+                it ('should only transform modules matching include globs', async () => {
+                    let output = await generateBundle(files, {
+                        include: ['main.js', '**/dep.js']
+                    }, entry.engine);
+
+                    expect(output.code.indexOf('__module.exports.dep') > -1).to.be.true;
+                    expect(output.code.indexOf('__module.exports.other') > -1).to.be.false;
+                });
+
+                it ('should not transform modules matching exclude regular expressions', async () => {
+                    let output = await generateBundle(files, {
+                        exclude: /other\.js$/
+                    }, entry.engine);
+
+                    expect(output.code.indexOf('__module.exports.dep') > -1).to.be.true;
+                    expect(output.code.indexOf('__module.exports.other') > -1).to.be.false;
+                });
+
+                it ('should allow functions to match modules', async () => {
+                    let output = await generateBundle(files, {
+                        include: id => id.indexOf('other') === -1
+                    }, entry.engine);
+
+                    expect(output.code.indexOf('__module.exports.dep') > -1).to.be.true;
+                    expect(output.code.indexOf('__module.exports.other') > -1).to.be.false;
+                });
+
+                it ('should exclude modules even if they are included', async () => {
+                    let output = await generateBundle(files, {
+                        include: ['*.js'],
+                        exclude: ['dep.js']
+                    }, entry.engine);
+
+                    expect(output.code.indexOf('__module.exports.dep') > -1).to.be.false;
+                    expect(output.code.indexOf('__module.exports.other') > -1).to.be.true;
+                });
+            });
+
+            describe('Options: wrapModules', () => {
+                let files = {
+                    './log.js': 'module.exports = [];',
+                    './dep.js': `
+                        require('./log.js').push('dep');
+                        module.exports = 'dep';
+                    `,
+                    './other.js': `
+                        require('./log.js').push('other');
+                    `
+                };
+
+                it ('should not execute modules until they are required', async () => {
+                    let output = await generate(Object.assign({}, files, {
+                        './main.js': `
+                            var log = require('./log.js');
+                            log.push('main');
+                            module.exports = { log: log, load: function () { return require('./dep.js') } };
+                        `
+                    }), { wrapModules: true }, entry.engine);
+
+                    expect(output.default.log).to.deep.equal(['main']);
+                    expect(output.default.load()).to.equal('dep');
+                    expect(output.default.log).to.deep.equal(['main', 'dep']);
+                });
+
+                it ('should execute modules in the order they are required', async () => {
+                    let output = await generate(Object.assign({}, files, {
+                        './main.js': `
+                            var log = require('./log.js');
+                            require('./dep.js');
+                            log.push('main');
+                            require('./other.js');
+                            module.exports = log;
+                        `
+                    }), { wrapModules: true }, entry.engine);
+
+                    expect(output.default).to.deep.equal(['dep', 'main', 'other']);
+                });
+
+                it ('should not execute modules required in branches that are not taken', async () => {
+                    let output = await generate(Object.assign({}, files, {
+                        './main.js': `
+                            var log = require('./log.js');
+                            if (typeof window === 'object') {
+                                require('./dep.js');
+                            }
+                            module.exports = log;
+                        `
+                    }), { wrapModules: true }, entry.engine);
+
+                    expect(output.default).to.deep.equal([]);
+                });
+
+                it ('should only execute modules once', async () => {
+                    let output = await generate(Object.assign({}, files, {
+                        './main.js': `
+                            require('./dep.js');
+                            require('./dep.js');
+                            module.exports = require('./log.js');
+                        `
+                    }), { wrapModules: true }, entry.engine);
+
+                    expect(output.default).to.deep.equal(['dep']);
+                });
+
+                it ('should execute modules imported by ES modules', async () => {
+                    let output = await generate(Object.assign({}, files, {
+                        './cjs.js': `
+                            exports.a = 1;
+                            Object.assign(exports, { b: 2 });
+                        `,
+                        './main.js': `
+                            import cjs, { a, b } from './cjs.js';
+                            import log from './log.js';
+                            import './other.js';
+                            export default [cjs.a, a, b, log];
+                        `
+                    }), { wrapModules: true }, entry.engine);
+
+                    expect(output.default).to.deep.equal([1, 1, 2, ['other']]);
+                });
+
+                it ('should execute wrapped entry modules', async () => {
+                    let output = await generateBundle({
+                        './__entry.js': `
+                            log.push('entry');
+                            module.exports = 'entry';
+                        `
+                    }, { wrapModules: true }, entry.engine);
+
+                    let log = [];
+                    eval(output.code.replace(/^\s*export .*$/gm, ''));
+                    expect(log).to.deep.equal(['entry']);
+                });
+
+                it ('should execute modules that are dynamically imported', async () => {
+                    let { output } = await generateImpl(Object.assign({}, files, {
+                        './main.js': `
+                            export default import('./dep.js');
+                        `
+                    }), { wrapModules: true }, entry.engine);
+
+                    // Rollup names the helper after its export in the helpers module, which can end up in any chunk.
+                    expect(output.map(chunk => chunk.code).join('\n')).to.match(/\.then\(function \(ns\) \{ (__)?interopImport\(ns, "auto", "dep\.js"\); return ns; \}\)/);
+                });
+
+                it ('should not call functions exported by ES modules as wrapped modules', async () => {
+                    let output = await generate({
+                        './esm.js': `
+                            export function __commonJS () { return 'called'; }
+                        `,
+                        './main.js': `
+                            module.exports = require('./esm.js');
+                        `
+                    }, { wrapModules: true, interop: 'namespace' }, entry.engine);
+
+                    expect(typeof output.default.__commonJS).to.equal('function');
+                });
+
+                it ('should not wrap modules by default', async () => {
+                    let output = await generate(Object.assign({}, files, {
+                        './main.js': `
+                            var log = require('./log.js');
+                            log.push('main');
+                            module.exports = { log: log, load: function () { return require('./dep.js') } };
+                        `
+                    }), {}, entry.engine);
+
+                    expect(output.default.log).to.deep.equal(['dep', 'main']);
+                });
+            });
+
+            describe('Circular Dependencies', () => {
+                let files = {
+                    './main.js': `
+                        exports.done = false;
+                        var b = require('./b.js');
+                        exports.b = b;
+                        exports.done = true;
+                    `,
+                    './b.js': `
+                        var main = require('./main.js');
+                        exports.seen = main.done;
+                        exports.main = main;
+                        exports.done = true;
+                    `
+                };
+
+                it ('should provide the exports object to modules in a cycle', async () => {
+                    let output = await generate(files, {}, entry.engine);
+
+                    expect(output.default.done).to.be.true;
+                    expect(output.default.b.done).to.be.true;
+                    expect(output.default.b.main.done).to.be.true;
+                });
+
+                it ('should provide partially filled exports to wrapped modules in a cycle', async () => {
+                    let output = await generate(files, { wrapModules: true }, entry.engine);
+
+                    expect(output.default.done).to.be.true;
+                    expect(output.default.b.seen).to.be.false;
+                    expect(output.default.b.main.done).to.be.true;
+                });
+
+                it ('should provide partially filled exports to wrapped cycles through multiple modules', async () => {
+                    let output = await generate({
+                        './main.js': `
+                            exports.name = 'main';
+                            exports.c = require('./b.js').c;
+                        `,
+                        './b.js': `
+                            exports.c = require('./c.js');
+                        `,
+                        './c.js': `
+                            exports.main = require('./main.js');
+                            exports.seen = exports.main.name;
+                        `
+                    }, { wrapModules: true }, entry.engine);
+
+                    expect(output.default.c.seen).to.equal('main');
+                    expect(output.default.c.main.c).to.equal(output.default.c);
+                });
+
+
+                it ('should warn about the modules in a cycle', async () => {
+                    let warn = console.warn;
+                    let warnings = [];
+                    console.warn = message => warnings.push(message);
+
+                    try {
+                        await generate(files, {}, entry.engine);
+                    } finally {
+                        console.warn = warn;
+                    }
+
+                    expect(warnings.join('\n')).to.contain('Circular dependency between CommonJS modules: b.js -> main.js -> b.js');
+                    expect(warnings.join('\n')).not.to.contain('wrapModules');
+                });
+
+                it ('should warn that modules in longer cycles may run in a different order than in Node', async () => {
+                    let files = {
+                        './main.js': `
+                            exports.name = 'main';
+                            exports.c = require('./b.js').c;
+                        `,
+                        './b.js': `
+                            exports.c = require('./c.js');
+                        `,
+                        './c.js': `
+                            exports.main = require('./main.js');
+                        `
+                    };
+
+                    let warn = console.warn;
+                    let warnings = [];
+                    console.warn = message => warnings.push(message);
+
+                    try {
+                        await generate(files, {}, entry.engine);
+                        expect(warnings.join('\n')).to.contain('c.js -> main.js -> b.js -> c.js. Its modules may not run in the order Node runs them, use wrapModules for that.');
+
+                        warnings = [];
+                        await generate(files, { wrapModules: true }, entry.engine);
+                        expect(warnings.join('\n')).not.to.contain('use wrapModules');
+                    } finally {
+                        console.warn = warn;
+                    }
+                });
+            });
+
+            describe('Options: sloppyModules', () => {
+                let captureWarnings = async (files, options) => {
+                    let warn = console.warn;
+                    let warnings = [];
+                    console.warn = message => warnings.push(message);
+
+                    try {
+                        await generateBundle(files, options, entry.engine);
+                    } finally {
+                        console.warn = warn;
+                    }
+
+                    return warnings.join('\n');
+                };
+
+                it ('should run modules with sloppy mode syntax', async () => {
+                    let output = await generate({
+                        './main.js': `
+                            var obj = { value: 1 };
+                            with (obj) {
+                                exports.value = value;
+                            }
+                            exports.octal = 010;
+                        `
+                    }, { sloppyModules: true }, entry.engine);
+
+                    expect(output.default.value).to.equal(1);
+                    expect(output.default.octal).to.equal(8);
+                });
+
+                it ('should run modules that rely on sloppy mode in a non-strict function', async () => {
+                    let output = await generateBundle({
+                        './main.js': `
+                            function getName () {
+                                return arguments.callee.name;
+                            }
+                            module.exports = getName();
+                        `
+                    }, { sloppyModules: true }, entry.engine);
+
+                    expect(output.code.indexOf('new Function(') > -1).to.be.true;
+                });
+
+                it ('should provide required modules to sloppy modules', async () => {
+                    let output = await generate({
+                        './main.js': `
+                            with (require('./dep.js')) {
+                                module.exports = value;
+                            }
+                        `,
+                        './dep.js': `
+                            exports.value = 123;
+                        `
+                    }, { sloppyModules: true }, entry.engine);
+
+                    expect(output.default).to.equal(123);
+                });
+
+                it ('should throw an error pointing at sloppy mode syntax by default', async () => {
+                    let error;
+
+                    try {
+                        await generateBundle({
+                            './main.js': `with (obj) {}`
+                        }, {}, entry.engine);
+                    } catch (e) {
+                        error = e;
+                    }
+
+                    expect(error.message).to.contain('main.js relies on sloppy mode');
+                    expect(error.message).to.contain('\'with\' in strict mode (1:0)');
+                    expect(error.message).to.contain('sloppyModules');
+                });
+
+                it ('should warn about code that relies on sloppy mode by default', async () => {
+                    let warnings = await captureWarnings({
+                        './main.js': [
+                            'function getName () {',
+                            '    return arguments.callee.name;',
+                            '}',
+                            'function setGlobal () {',
+                            '    undeclaredGlobal = 1;',
+                            '}'
+                        ].join('\n')
+                    }, {});
+
+                    expect(warnings).to.contain('arguments.callee isn\'t allowed in strict mode (2:11)');
+                    expect(warnings).to.contain('Assigning to the undeclared variable "undeclaredGlobal" isn\'t allowed in strict mode (5:4)');
+                });
+
+                it ('should not warn about code that is already in strict mode', async () => {
+                    let warnings = await captureWarnings({
+                        './main.js': `
+                            function setGlobal () {
+                                'use strict';
+                                undeclaredGlobal = 1;
+                            }
+                            class Example {
+                                method () {
+                                    return arguments.callee;
+                                }
+                            }
+                            var declared;
+                            declared = 1;
+                            module.exports = 1;
+                        `
+                    }, {});
+
+                    expect(warnings).not.to.contain('sloppy mode');
+                });
+            });
+
+            describe('Options: nodeGlobals', () => {
+                it ('should shim the Node globals used by the module', async () => {
+                    let output = await generate({
+                        './main.js': `
+                            module.exports = [typeof global, process.env, process.browser, typeof process.nextTick, __dirname, __filename];
+                        `
+                    }, { nodeGlobals: true }, entry.engine);
+
+                    expect(output.default).to.deep.equal(['object', {}, true, 'function', '.', 'main.js']);
+                });
+
+                it ('should call process.nextTick callbacks asynchronously with their arguments', async () => {
+                    let output = await generate({
+                        './main.js': `
+                            var calls = [];
+                            process.nextTick(function (a, b) {
+                                calls.push(a + b);
+                            }, 1, 2);
+                            calls.push(0);
+                            module.exports = { calls: calls, sync: calls.slice() };
+                        `
+                    }, { nodeGlobals: true }, entry.engine);
+
+                    expect(output.default.sync).to.deep.equal([0]);
+                    expect(output.default.calls).to.deep.equal([0, 3]);
+                });
+
+                it ('should only add shims to modules that use them', async () => {
+                    let results = await generateTransforms({
+                        './main.js': `
+                            var dep = require('./dep.js');
+                            module.exports = process.env;
+                        `,
+                        './dep.js': `
+                            var process = { env: 'local' };
+                            module.exports = [process.env, global.value];
+                        `
+                    }, { nodeGlobals: true }, entry.engine);
+
+                    expect(results['main.js'].code).to.contain('var process = __process;');
+                    expect(results['main.js'].code).not.to.contain('var global = ');
+                    expect(results['dep.js'].code).not.to.contain('var process = __process;');
+                    expect(results['dep.js'].code).to.contain('var global = __global;');
+                    expect(results['main.js'].code + results['dep.js'].code).not.to.contain('__dirname');
+                });
+
+                it ('should share the shims between modules', async () => {
+                    let output = await generate({
+                        './main.js': `
+                            require('./dep.js');
+                            module.exports = [process.env.FROM_DEP, global.fromDep];
+                        `,
+                        './dep.js': `
+                            process.env.FROM_DEP = 'dep';
+                            global.fromDep = 'dep';
+                        `
+                    }, { nodeGlobals: true }, entry.engine);
+
+                    delete globalThis.fromDep;
+                    expect(output.default).to.deep.equal(['dep', 'dep']);
+                });
+
+                it ('should only shim the globals that are configured', async () => {
+                    let output = await generateBundle({
+                        './main.js': `
+                            module.exports = [process.env, typeof __dirname];
+                        `
+                    }, { nodeGlobals: { process: true, __dirname: false } }, entry.engine);
+
+                    expect(output.code.indexOf('platform: "browser"') > -1).to.be.true;
+                    expect(output.code.indexOf('var __dirname')).to.equal(-1);
+                });
+
+                it ('should import globals from polyfill modules', async () => {
+                    let output = await generate({
+                        './main.js': `
+                            module.exports = [Buffer.from('a'), process.env.custom];
+                        `,
+                        './buffer.js': `
+                            exports.Buffer = { from: function (value) { return 'buffer:' + value; } };
+                        `,
+                        './process.js': `
+                            export default { env: { custom: 1 } };
+                        `
+                    }, { nodeGlobals: { Buffer: ['./buffer.js', 'Buffer'], process: './process.js' } }, entry.engine);
+
+                    expect(output.default).to.deep.equal(['buffer:a', 1]);
+                });
+
+                it ('should not shim globals that are replaced by define', async () => {
+                    let output = await generateBundle({
+                        './main.js': `
+                            module.exports = process.env.NODE_ENV;
+                        `
+                    }, { nodeGlobals: true, define: { 'process.env.NODE_ENV': JSON.stringify('production') } }, entry.engine);
+
+                    expect(output.code).not.to.contain('__process');
+                });
+
+                it ('should shim globals in wrapped and sloppy modules', async () => {
+                    let output = await generate({
+                        './main.js': `
+                            var dep = require('./dep.js');
+                            module.exports = [dep, __filename];
+                        `,
+                        './dep.js': `
+                            undeclaredGlobal = 1;
+                            module.exports = [typeof process.nextTick, Buffer.from('b')];
+                        `,
+                        './buffer.js': `
+                            exports.Buffer = { from: function (value) { return 'buffer:' + value; } };
+                        `
+                    }, { nodeGlobals: { process: true, __filename: true, Buffer: ['./buffer.js', 'Buffer'] }, wrapModules: true, sloppyModules: true }, entry.engine);
+
+                    expect(output.default).to.deep.equal([['function', 'buffer:b'], 'main.js']);
+                });
+            });
+
+            describe('Options: interop', () => {
+                let files = {
+                    './esm.js': `
+                        export default 'default';
+                        export var named = 'named';
+                    `,
+                    './cjs.js': `
+                        module.exports = { value: 'cjs' };
+                    `,
+                    './main.js': `
+                        module.exports = { esm: require('./esm.js'), cjs: require('./cjs.js') };
+                    `
+                };
+
+                it ('should return the default export of ES modules by default', async () => {
+                    let output = await generate(files, {}, entry.engine);
+
+                    expect(output.default.esm).to.equal('default');
+                    expect(output.default.cjs.value).to.equal('cjs');
+                });
+
+                it ('should return the namespace of ES modules with namespace', async () => {
+                    let output = await generate(files, { interop: 'namespace' }, entry.engine);
+
+                    expect(output.default.esm.default).to.equal('default');
+                    expect(output.default.esm.named).to.equal('named');
+                    expect(output.default.cjs.value).to.equal('cjs');
+                });
+
+                it ('should return the default export of ES modules with default', async () => {
+                    let output = await generate(Object.assign({}, files, {
+                        './main.js': `
+                            module.exports = { esm: require('./esm.js'), named: require('./named.js'), cjs: require('./cjs.js') };
+                        `,
+                        './named.js': `
+                            export var named = 'named';
+                        `
+                    }), { interop: 'default' }, entry.engine);
+
+                    expect(output.default.esm).to.equal('default');
+                    expect(output.default.named).to.be.undefined;
+                    expect(output.default.cjs.value).to.equal('cjs');
+                });
+
+                it ('should return the namespace of ES modules with node', async () => {
+                    let output = await generate(Object.assign({}, files, {
+                        './esm.js': `
+                            export var __esModule = false;
+                            export default 'default';
+                            export var named = 'named';
+                        `
+                    }), { interop: 'node' }, entry.engine);
+
+                    expect(output.default.esm.default).to.equal('default');
+                    expect(output.default.esm.named).to.equal('named');
+                    expect(output.default.cjs.value).to.equal('cjs');
+                });
+
+                it ('should return the namespace with __esModule with esModuleInterop', async () => {
+                    let output = await generate(files, { interop: 'esModuleInterop' }, entry.engine);
+
+                    expect(output.default.esm.__esModule).to.be.true;
+                    expect(output.default.esm.default).to.equal('default');
+                    expect(output.default.esm.named).to.equal('named');
+                    expect(Object.keys(output.default.esm)).to.deep.equal(['default', 'named']);
+                    expect(output.default.cjs.value).to.equal('cjs');
+                });
+
+                it ('should choose the interop for each importee', async () => {
+                    let calls = [];
+                    let output = await generate(Object.assign({}, files, {
+                        './main.js': `
+                            module.exports = { esm: require('./esm.js'), other: require('./other.js') };
+                        `,
+                        './other.js': `
+                            export default 'other';
+                        `
+                    }), {
+                        interop: (importee, importer) => {
+                            calls.push([importee, path.relative(process.cwd(), importer)]);
+                            return importee === './esm.js'? 'namespace' : undefined;
+                        }
+                    }, entry.engine);
+
+                    expect(output.default.esm.named).to.equal('named');
+                    expect(output.default.other).to.equal('other');
+                    expect(calls).to.deep.include(['./esm.js', 'main.js']);
+                });
+
+                it ('should throw an error for unknown interops', async () => {
+                    expect(() => commonjs({ interop: 'unknown' })).to.throw('Unknown interop "unknown"');
+
+                    let error;
+                    try {
+                        await generate(files, { interop: () => 'unknown' }, entry.engine);
+                    } catch (e) {
+                        error = e;
+                    }
+
+                    expect(error.message).to.contain('Unknown interop "unknown" for "./esm.js" in main.js');
+                });
+            });
+
+            describe('Options: liveBindings', () => {
+                let files = {
+                    './counter.js': `
+                        exports.count = 0;
+                        exports.increment = function () {
+                            exports.count++;
+                        };
+                    `,
+                    './main.js': `
+                        import { count, increment } from './counter.js';
+                        increment();
+                        export default count;
+                    `
+                };
+
+                it ('should not update named exports by default', async () => {
+                    let output = await generate(files, {}, entry.engine);
+                    expect(output.default).to.equal(0);
+                });
+
+                it ('should update named exports assigned after the module has run', async () => {
+                    let output = await generate(files, { liveBindings: true }, entry.engine);
+                    expect(output.default).to.equal(1);
+                });
+
+                it ('should update named exports assigned by other modules', async () => {
+                    let setterFiles = Object.assign({}, files, {
+                        './setter.js': `
+                            module.exports = function () {
+                                require('./counter.js').count = 10;
+                            };
+                        `,
+                        './main.js': `
+                            import { count } from './counter.js';
+                            import set from './setter.js';
+                            set();
+                            export default count;
+                        `
+                    });
+
+                    expect((await generate(setterFiles, { liveBindings: true }, entry.engine)).default).to.equal(10);
+                    expect((await generate(setterFiles, { liveBindings: true, wrapModules: true }, entry.engine)).default).to.equal(10);
+                });
+
+                it ('should update named exports of wrapped modules', async () => {
+                    let output = await generate(files, { liveBindings: true, wrapModules: true }, entry.engine);
+                    expect(output.default).to.equal(1);
+                });
+
+                it ('should leave exports that can not be redefined as they are', async () => {
+                    let output = await generate({
+                        './dep.js': `
+                            Object.defineProperty(exports, 'fixed', { value: 1, enumerable: true });
+                            Object.defineProperty(exports, 'getter', { get: function () { return 2; }, enumerable: true });
+                            exports.value = 3;
+                            Object.freeze(exports);
+                        `,
+                        './main.js': `
+                            import { fixed, getter, value } from './dep.js';
+                            export default [fixed, getter, value];
+                        `
+                    }, { liveBindings: true }, entry.engine);
+
+                    expect(output.default).to.deep.equal([1, 2, 3]);
+                });
+            });
+
+            describe('Options: externalRequires', () => {
+                // A package that only the environment has, with a file inside of it.
+                let pkg = path.resolve(process.cwd(), 'node_modules/commonjs-alternate-external');
+
+                // Nollup has its own require, so the bundle loads externals with the global one.
+                before(() => {
+                    global.require = require;
+                    fs.existsSync(pkg) || fs.mkdirSync(pkg);
+                    fs.writeFileSync(path.join(pkg, 'index.js'), 'module.exports = "main";');
+                    fs.writeFileSync(path.join(pkg, 'sub.js'), 'module.exports = "sub";');
+                });
+
+                after(() => {
+                    delete global.require;
+                    fs.unlinkSync(path.join(pkg, 'index.js'));
+                    fs.unlinkSync(path.join(pkg, 'sub.js'));
+                    fs.rmdirSync(pkg);
+                });
+
+                it ('should leave matching requires for the environment', async () => {
+                    let files = {
+                        './dep.js': `
+                            module.exports = 'dep';
+                        `,
+                        './main.js': `
+                            exports.main = require('commonjs-alternate-external');
+                            exports.sub = require('commonjs-alternate-external/sub');
+                            exports.dep = require('./dep.js');
+                        `
+                    };
+
+                    let output = await generate(files, { externalRequires: 'commonjs-alternate-external' }, entry.engine);
+                    expect(output.main).to.equal('main');
+                    expect(output.sub).to.equal('sub');
+                    expect(output.dep).to.equal('dep');
+
+                    let bundle = await generateBundle(files, { externalRequires: 'commonjs-alternate-external' }, entry.engine);
+                    expect(bundle.code).not.to.match(/import .* from (\\)?["']commonjs-alternate-external/);
+                });
+
+                it ('should not match packages starting with the same name', async () => {
+                    let output = await generate({
+                        './path-browserify.js': `
+                            module.exports = 'browser';
+                        `,
+                        './main.js': `
+                            module.exports = require('./path-browserify.js');
+                        `
+                    }, { externalRequires: './path' }, entry.engine);
+
+                    expect(output.default).to.equal('browser');
+                });
+
+                it ('should accept regular expressions and functions', async () => {
+                    let importers = [];
+                    let files = {
+                        './main.js': `
+                            exports.fs = typeof require('fs').readFileSync;
+                            exports.os = typeof require('os').platform;
+                        `
+                    };
+
+                    let output = await generate(files, {
+                        externalRequires: [/^f/, (importee, importer) => {
+                            importers.push(importer);
+                            return importee === 'os';
+                        }]
+                    }, entry.engine);
+
+                    expect(output.fs).to.equal('function');
+                    expect(output.os).to.equal('function');
+                    expect(importers).to.deep.equal([path.resolve('./main.js')]);
+                });
+
+                it ('should leave external requires in sloppy modules', async () => {
+                    let output = await generate({
+                        './main.js': `
+                            module.exports = require('path').sep;
+                        `
+                    }, { externalRequires: 'path', sloppyModules: true }, entry.engine);
+
+                    expect(output.default).to.equal(path.sep);
+                });
+
+                if (entry.title === 'Rollup') {
+                    it ('should create the require from import.meta.url with createRequire', async () => {
+                        let { code } = await generateBundle({
+                            './main.js': `
+                                exports.sep = require('path').sep;
+                            `
+                        }, { externalRequires: 'path', createRequire: true }, entry.engine);
+
+                        expect(code).to.contain('import { createRequire } from \'module\';');
+                        expect(code).to.contain('createRequire(import.meta.url)');
+                        expect(code).to.contain('__require(\'path\')');
+                    });
+                }
+            });
+
+            describe('Options: target', () => {
+                let files = {
+                    './browser.js': `
+                        module.exports = 'target-browser';
+                    `,
+                    './node.js': `
+                        module.exports = 'target-node';
+                    `,
+                    './worker.js': `
+                        module.exports = 'target-worker';
+                    `,
+                    './main.js': `
+                        if (typeof importScripts === 'function') {
+                            module.exports = require('./worker.js');
+                        } else if (typeof window !== 'undefined' && typeof document === 'object') {
+                            module.exports = require('./browser.js');
+                        } else {
+                            module.exports = require('./node.js');
+                        }
+                    `
+                };
+
+                it ('should only include the code for the target environment', async () => {
+                    for (let target of ['browser', 'node', 'worker']) {
+                        let { code } = await generateBundle(files, { target }, entry.engine);
+
+                        ['browser', 'node', 'worker'].forEach(other => {
+                            expect(code.indexOf(`target-${other}`) > -1).to.equal(other === target);
+                        });
+                    }
+                });
+
+                it ('should replace the types of the globals in the output', async () => {
+                    let { code } = (await generateTransforms(files, { target: 'browser' }, entry.engine))['main.js'];
+                    expect(code.indexOf('"undefined" === \'function\'') > -1).to.be.true;
+                    expect(code.indexOf('"object" !== \'undefined\' && "object" === \'object\'') > -1).to.be.true;
+                });
+
+                it ('should accept an object with the types of the globals', async () => {
+                    let output = await generate(files, { target: { importScripts: 'undefined', window: 'undefined' } }, entry.engine);
+                    expect(output.default).to.equal('target-node');
+                });
+
+                it ('should include every branch without a target', async () => {
+                    let { code } = await generateBundle(files, {}, entry.engine);
+                    expect(code.indexOf('target-browser') > -1 && code.indexOf('target-node') > -1 && code.indexOf('target-worker') > -1).to.be.true;
+                });
+
+                it ('should not replace variables declared by the module', async () => {
+                    let output = await generate({
+                        './main.js': `
+                            var window;
+                            module.exports = typeof window;
+                        `
+                    }, { target: 'browser' }, entry.engine);
+
+                    expect(output.default).to.equal('undefined');
+                });
+
+                it ('should leave the globals provided by nodeGlobals', async () => {
+                    let output = await generate({
+                        './main.js': `
+                            module.exports = typeof process;
+                        `
+                    }, { target: 'browser', nodeGlobals: { process: true } }, entry.engine);
+
+                    expect(output.default).to.equal('object');
+                });
+
+                it ('should throw for unknown targets', () => {
+                    expect(() => commonjs({ target: 'unknown' })).to.throw('Unknown target "unknown"');
+                });
+            });
+
+            describe('Options: define', () => {
+                it ('should replace all instances of definitions', async () => {
+                    let output = await generateBundle({
+                        './main.js': `
+                            console.log(process.env.NODE_ENV + process.env.NODE_ENV);
+                            console.log(__DEBUG__ + __DEBUG__);
+                        `
+                    }, {
+                        define: {
+                            'process.env.NODE_ENV': JSON.stringify("development"),
+                            '__DEBUG__': JSON.stringify(1)
+                        }
+                    }, entry.engine);
+
+                    expect(output.code.indexOf('console.log("development" + "development");') > -1).to.be.true;
+                    expect(output.code.indexOf('console.log(1 + 1);') > -1).to.be.true;
+                });
+
+                it ('should only replace variables and properties matching the definitions', async () => {
+                    let output = await generateBundle({
+                        './main.js': `
+                            var __DEBUG__X = 1;
+                            console.log(__DEBUG__X, "__DEBUG__", { __DEBUG__: 2 }, exports.__DEBUG__);
+                            console.log({ process: { env: { NODE_ENV: "test" } } }, process.env.NODE_ENV_OTHER);
+                            module.exports = { __DEBUG__ };
+                        `
+                    }, {
+                        define: {
+                            'process.env.NODE_ENV': JSON.stringify('development'),
+                            "__DEBUG__": JSON.stringify(1)
+                        }
+                    }, entry.engine);
+
+                    expect(output.code.indexOf('console.log(__DEBUG__X, "__DEBUG__", { __DEBUG__: 2 }, exports.__DEBUG__);') > -1).to.be.true;
+                    expect(output.code.indexOf('console.log({ process: { env: { NODE_ENV: "test" } } }, process.env.NODE_ENV_OTHER);') > -1).to.be.true;
+                    expect(output.code.indexOf('{ __DEBUG__: 1 }') > -1).to.be.true;
+                });
+
+                it ('should not replace variables declared by the module', async () => {
+                    let output = await generate({
+                        './main.js': `
+                            function getEnv (process) {
+                                return process.env.NODE_ENV;
+                            }
+                            module.exports = [getEnv({ env: { NODE_ENV: 'local' } }), process.env.NODE_ENV];
+                        `
+                    }, {
+                        define: {
+                            'process.env.NODE_ENV': JSON.stringify('development')
+                        }
+                    }, entry.engine);
+
+                    expect(output.default).to.deep.equal(['local', 'development']);
+                });
+
+                it ('should replace the type of variables', async () => {
+                    let output = await generate({
+                        './main.js': `
+                            module.exports = typeof window === 'undefined'? require('./server.js') : typeof window;
+                        `,
+                        './server.js': `
+                            module.exports = 'server';
+                        `
+                    }, {
+                        define: {
+                            'typeof window': JSON.stringify('object')
+                        }
+                    }, entry.engine);
+
+                    expect(output.default).to.equal('object');
+                });
+
+                it ('should use definitions that are not strings in conditions', async () => {
+                    let output = await generateBundle({
+                        './main.js': `
+                            if (__DEBUG__) {
+                                require('./debug.js');
+                            }
+                        `,
+                        './debug.js': `
+                            module.exports = 'debug';
+                        `
+                    }, {
+                        define: {
+                            '__DEBUG__': 'false'
+                        }
+                    }, entry.engine);
+
+                    expect(output.code.indexOf('\'debug\'') === -1).to.be.true;
+                });
+            });
+
+            describe('Runtime Helpers', () => {
+                it ('should include the helpers once for all modules', async () => {
+                    let output = await generateBundle({
+                        './a.js': `
+                            module.exports = require('./b.js') + 1;
+                        `,
+                        './b.js': `
+                            module.exports = require('./c.js') + 1;
+                        `,
+                        './c.js': `
+                            export default 1;
+                        `,
+                        './main.js': `
+                            module.exports = require('./a.js');
+                        `
+                    }, {}, entry.engine);
+
+                    expect(output.code.match(/function interopImport/g).length).to.equal(1);
+                    expect(output.code.match(/function createModule/g).length).to.equal(1);
+                });
+
+                // Nollup doesn't remove unused code, so it always includes every helper, and its
+                // bundles have their own runtime, which provides the module object.
+                if (entry.title === 'Rollup') {
+                    it ('should only include the module.hot helper for modules using module.hot', async () => {
+                        let output = await generateBundle({
+                            './main.js': `
+                                module.exports = 1;
+                            `
+                        }, {}, entry.engine);
+
+                        expect(output.code.indexOf('createHot')).to.equal(-1);
+
+                        output = await generateBundle({
+                            './main.js': `
+                                module.exports = 1;
+                                module.hot && module.hot.accept();
+                            `
+                        }, {}, entry.engine);
+
+                        expect(output.code.indexOf('createHot') > -1).to.be.true;
+                    });
+
+                    it ('should leave module.hot of runtimes other than Nollup as it is', async () => {
+                        let { code } = await generateBundle({
+                            './main.js': `
+                                module.hot.accept(function () {
+                                    exports.accepted = true;
+                                });
+                            `
+                        }, {}, entry.engine);
+
+                        let module = { id: 1, hot: { accept (callback) { this._accept = callback; } } };
+                        let output = eval('(function() {' + code.replace('export default', 'return') + '})()');
+                        module.hot._accept();
+
+                        expect(output.default.accepted).to.be.true;
+                    });
+
+                    it ('should not include comments in the helpers', async () => {
+                        let output = await generateBundle({
+                            './main.js': `
+                                module.exports = require('./dep.js');
+                                module.hot && module.hot.accept();
+                            `,
+                            './dep.js': `
+                                export default process.env.NODE_ENV;
+                            `
+                        }, { nodeGlobals: true }, entry.engine);
+
+                        expect(output.code).not.to.match(/^\s*\/\//m);
+                    });
+                }
+
+                it ('should not include the helpers when they are not used', async () => {
+                    let output = await generateBundle({
+                        './main.js': `
+                            export default 1;
+                        `
+                    }, {}, entry.engine);
+
+                    expect(output.code.indexOf('interopImport')).to.equal(-1);
+                    expect(output.code.indexOf('createModule')).to.equal(-1);
+                });
+            });
+
+            describe('Source Maps', () => {
+                it ('should map code after define replacements to the original code', async () => {
+                    let code = [
+                        'var env = process.env.NODE_ENV, debug = __DEBUG__, marker = 1;',
+                        'module.exports = typeof window + marker;'
+                    ].join('\n');
+
+                    let results = await generateTransforms({ './main.js': code }, {
+                        define: {
+                            'process.env.NODE_ENV': JSON.stringify('development'),
+                            '__DEBUG__': 'true',
+                            'typeof window': JSON.stringify('object')
+                        }
+                    }, entry.engine);
+
+                    expect(getOriginalPosition(results['main.js'], '"development"')).to.deep.equal(getPosition(code, 'process.env.NODE_ENV'));
+                    expect(getOriginalPosition(results['main.js'], 'marker = 1')).to.deep.equal(getPosition(code, 'marker = 1'));
+                    expect(getOriginalPosition(results['main.js'], '+ marker')).to.deep.equal(getPosition(code, '+ marker'));
+                });
+
+                it ('should map conditional requires to the original code', async () => {
+                    let code = [
+                        'if (process.env.NODE_ENV === "production") {',
+                        '    module.exports = require("./prod.js"); var marker = 1;',
+                        '} else {',
+                        '    module.exports = require("./dev.js"); var other = 2;',
+                        '}'
+                    ].join('\n');
+
+                    let results = await generateTransforms({
+                        './main.js': code,
+                        './prod.js': 'module.exports = "prod";',
+                        './dev.js': 'module.exports = "dev";'
+                    }, {
+                        define: {
+                            'process.env.NODE_ENV': JSON.stringify('production')
+                        }
+                    }, entry.engine);
+
+                    expect(getOriginalPosition(results['main.js'], '__interopImport(__require__import__0, "auto", "prod.js")')).to.deep.equal(getPosition(code, 'require("./prod.js")'));
+                    expect(getOriginalPosition(results['main.js'], 'var marker')).to.deep.equal(getPosition(code, 'var marker'));
+                    expect(getOriginalPosition(results['main.js'], 'var other')).to.deep.equal(getPosition(code, 'var other'));
+                });
+
+                it ('should map module references to the original code', async () => {
+                    let code = [
+                        'var id = module.id, marker = 1;',
+                        'module.exports = { id: id, marker: marker };'
+                    ].join('\n');
+
+                    let results = await generateTransforms({ './main.js': code }, {}, entry.engine);
+
+                    expect(getOriginalPosition(results['main.js'], '__module.id')).to.deep.equal(getPosition(code, 'module.id'));
+                    expect(getOriginalPosition(results['main.js'], 'marker = 1')).to.deep.equal(getPosition(code, 'marker = 1'));
+                    expect(getOriginalPosition(results['main.js'], '__module.exports = {')).to.deep.equal(getPosition(code, 'module.exports = {'));
+                });
+            });
+
+            describe('Miscellanous Issues', () => {
+                it ('assigning module.exports to exports', async () => {
+                    let output = await generate({
+                        './main.js': `
+                            "use strict";
+
+                            Object.defineProperty(exports, "__esModule", {
+                              value: true
+                            });
+                            exports.default = getMessage;
+
+
+                            function getMessage() {
+                              return 'hello world';
+                            }
+
+                            module.exports = exports.default;
+                            module.exports.default = exports.default;
+                        `
+                    }, {}, entry.engine);
+
+                    expect(output.default()).to.equal('hello world');
+                });
+
+                it ('"typeof module !== "undefined" && module.exports" in UMD should pass', async () => {
+                    let output = await generate({
+                        './main.js': `
+                            "use strict";
+
+                            if (typeof module !== "undefined" && module.exports) {
+                                module.exports = 123;
+                            }
+                        `
+                    }, {}, entry.engine);
+
+                    expect(output.default).to.equal(123);
+                });
+
+                it ('"typeof module !== "undefined" && module.hot" in UMD should not pass', async () => {
                     let output = await generate({
                         './main.js': `
                             "use strict";
@@ -794,6 +3039,18 @@ describe('Rollup Plugin CommonJS Alternate', () => {
     });
 
     describe('Nollup Only', () => {
+        // The wrapped modules and live bindings publish their exports with the parameter of Nollup's module
+        // wrapper, which isn't part of its API. This fails when a new version of Nollup renames it.
+        it ('should publish exports with the function Nollup passes to modules', async () => {
+            let { output } = await generateImpl({
+                './main.js': `
+                    module.exports = 1;
+                `
+            }, {}, nollup);
+
+            expect(output[0].code).to.match(/function \(__c__, __r__, __d__, __e__\)/);
+        });
+
         it ('should preserve module.hot and pass if available', async () => {
             let { output } = await generateImpl({
                 './main.js': `
@@ -811,6 +3068,119 @@ describe('Rollup Plugin CommonJS Alternate', () => {
             let result = eval('(function() {' + output[0].code.replace('export default', 'return') + '})()');
             expect(result.default.module_hot).to.be.true;
         });
+
+        describe('module.hot', () => {
+            // Updates every module, the way Nollup's HMR plugin does when a file changes.
+            let hmrPlugin = {
+                nollupBundleInit () {
+                    return `
+                        __nollup__global__.__hmrUpdate = function () {
+                            Object.keys(instances).forEach(function (id) {
+                                instances[id].invalidate = true;
+                            });
+
+                            Object.keys(instances).forEach(function (id) {
+                                instances[id].hot._accept && instances[id].hot._accept();
+                            });
+                        };
+                    `;
+                },
+                nollupModuleInit () {
+                    return `
+                        module.hot = {
+                            accept: function (callback) { this._accept = callback; },
+                            dispose: function (callback) { this._dispose = callback; }
+                        };
+                    `;
+                }
+            };
+
+            let generateHot = async files => {
+                let { output } = await generateImpl(files, {}, nollup, [hmrPlugin]);
+                return eval('(function() {' + output[0].code.replace('export default', 'return') + '})()');
+            };
+
+            beforeEach(() => {
+                global.__hmrRuns = [];
+            });
+
+            afterEach(() => {
+                delete global.__hmrRuns;
+                delete global.__hmrUpdate;
+            });
+
+            it ('should return the updated module when requiring an accepted dependency', async () => {
+                let output = await generateHot({
+                    './dep.js': `
+                        __hmrRuns.push('dep');
+                        module.exports = { version: __hmrRuns.length };
+                    `,
+                    './main.js': `
+                        var versions = [require('./dep.js').version];
+                        module.hot.accept('./dep.js', function () {
+                            versions.push(require('./dep.js').version);
+                        });
+                        module.exports = versions;
+                    `
+                });
+
+                expect(output.default).to.deep.equal([1]);
+                global.__hmrUpdate();
+                expect(output.default).to.deep.equal([1, 2]);
+            });
+
+            it ('should accept arrays of dependencies', async () => {
+                let output = await generateHot({
+                    './a.js': `
+                        module.exports = 'a' + __hmrRuns.push('a');
+                    `,
+                    './b.js': `
+                        module.exports = 'b' + __hmrRuns.push('b');
+                    `,
+                    './main.js': `
+                        var values = [];
+                        module.hot.accept(['./a.js', './b.js'], function () {
+                            values.push(require('./a.js'), require('./b.js'));
+                        });
+                        module.exports = values;
+                    `
+                });
+
+                global.__hmrUpdate();
+                expect(output.default).to.deep.equal(['a3', 'b4']);
+            });
+
+            it ('should call callbacks without dependencies with the updated modules', async () => {
+                let output = await generateHot({
+                    './dep.js': `
+                        module.exports = __hmrRuns.push('dep');
+                    `,
+                    './main.js': `
+                        var values = [];
+                        module.hot.accept(function () {
+                            values.push(require('./dep.js'));
+                        });
+                        module.exports = values;
+                    `
+                });
+
+                global.__hmrUpdate();
+                expect(output.default).to.deep.equal([2]);
+            });
+
+            it ('should run modules that accept themselves again', async () => {
+                await generateHot({
+                    './main.js': `
+                        __hmrRuns.push('main');
+                        module.hot.accept();
+                        module.hot.dispose(function () {});
+                    `
+                });
+
+                global.__hmrUpdate();
+                expect(global.__hmrRuns).to.deep.equal(['main', 'main']);
+            });
+        });
     })
 
 });